@@ -0,0 +1,234 @@
+// Leaderboard backup and cleanup against the store picked by STORAGE:
+//   npm run lb -- export --format csv --out backup.csv
+//   npm run lb -- import backup.json --dry-run
+//   npm run lb -- prune --before 2026-01-01
+// Only the main leaderboard is exported and imported; daily boards are not.
+// Stop the server before importing or pruning a JSON store: it keeps the
+// files in memory and its next write would undo the changes.
+import { createHash } from "node:crypto";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { DEFAULT_DIFFICULTY, DIFFICULTIES } from "../js/difficulty.js";
+import { parseCsv, toCsv } from "./csv.mjs";
+import { createStorage } from "./storage/index.mjs";
+import { sorted } from "./storage/ranking.mjs";
+import { loadBlocklist, validateScorePayload } from "./validation.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STORAGE = process.env.STORAGE || "json";
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, "zevia.db");
+const BLOCKLIST_FILE = process.env.BLOCKLIST_FILE ?? path.join(__dirname, "blocklist.txt");
+
+const PAGE_SIZE = 1000;
+// CSV drops rules, replay and ip; JSON exports keep every field
+const CSV_COLUMNS = ["id", "username", "score", "moves", "maxTile", "undos", "hints", "difficulty", "hidden", "createdAt"];
+const MAX_ID_LENGTH = 100;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const USAGE = `Usage: npm run lb -- <command> [options]
+
+Commands:
+  export [--format json|csv] [--out FILE]   Write the leaderboard (stdout by default)
+  import FILE [--format json|csv] [--dry-run]
+                                            Merge a backup; known ids are skipped
+  prune [--before YYYY-MM-DD] [--username NAME] [--dry-run]
+                                            Delete entries older than a date and/or by a name
+
+STORAGE, DATA_DIR, SQLITE_FILE and BLOCKLIST_FILE are read as by the server.`;
+
+class UsageError extends Error {}
+
+// Every main-board entry (hidden included), in rank order
+async function readAllEntries(store) {
+  const entries = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await store.listAllEntries({ offset, limit: PAGE_SIZE });
+    entries.push(...page.entries);
+    if (page.entries.length < PAGE_SIZE) break;
+  }
+  return sorted(entries);
+}
+
+function pickFormat(format, file) {
+  const picked = format ?? (file && path.extname(file).toLowerCase() === ".csv" ? "csv" : "json");
+  if (picked !== "json" && picked !== "csv") throw new UsageError(`Unknown format "${picked}".`);
+  return picked;
+}
+
+function audit(store, action, target, details) {
+  return store.addAudit({ at: Date.now(), action, target, details, ip: null });
+}
+
+// ==================== Export ====================
+async function exportEntries(store, { format, out }) {
+  const entries = await readAllEntries(store);
+  const text = pickFormat(format, out) === "csv"
+    ? toCsv(entries.map((entry) => ({ ...entry, createdAt: new Date(entry.createdAt).toISOString() })), CSV_COLUMNS)
+    : `${JSON.stringify(entries, null, 2)}\n`;
+  if (out) {
+    await fs.writeFile(out, text);
+    console.error(`Exported ${entries.length} entries to ${out}.`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+// ==================== Import ====================
+// [{ line, row }]: `line` is the CSV line or the 1-based JSON array index
+async function readBackup(file, format) {
+  const raw = await fs.readFile(file, "utf8");
+  if (format === "csv") {
+    // Empty cells mean "not set", as a missing JSON field would
+    return parseCsv(raw).map(({ line, row }) => ({
+      line,
+      row: Object.fromEntries(Object.entries(row).filter(([, value]) => value !== ""))
+    }));
+  }
+  const data = JSON.parse(raw);
+  if (!Array.isArray(data)) throw new Error(`${file} is not a JSON array of entries.`);
+  return data.map((row, index) => ({ line: index + 1, row }));
+}
+
+// Milliseconds from a number, a numeric string or an ISO date string
+function parseTimestamp(value) {
+  if (typeof value === "number") return value;
+  if (typeof value !== "string") return NaN;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// The same checks as a live submission, plus the fields a backup carries
+function validateRow(row, blockedTerms, now) {
+  const validation = validateScorePayload(row, { blockedTerms });
+  if (!validation.ok) return validation;
+
+  const createdAt = parseTimestamp(row.createdAt);
+  if (!Number.isInteger(createdAt) || createdAt <= 0 || createdAt > now) {
+    return { ok: false, error: "Invalid createdAt." };
+  }
+  // Backups from before difficulty presets have none: Normal
+  const difficulty = row.difficulty ?? DEFAULT_DIFFICULTY;
+  if (!DIFFICULTIES.includes(difficulty)) return { ok: false, error: "Invalid difficulty." };
+  // Rows without an id get one derived from their content, so importing
+  // the same file twice still skips them the second time
+  const { username, score, moves } = validation.value;
+  const fingerprint = createHash("sha256").update(`${username}|${score}|${moves}|${createdAt}`).digest("hex");
+  const id = row.id ?? `import-${fingerprint.slice(0, 24)}`;
+  if (typeof id !== "string" || id.trim() === "" || id.length > MAX_ID_LENGTH) {
+    return { ok: false, error: "Invalid id." };
+  }
+  const isObject = (value) => Boolean(value) && typeof value === "object";
+
+  return {
+    ok: true,
+    value: {
+      id,
+      ...validation.value,
+      difficulty,
+      rules: isObject(row.rules) ? row.rules : null,
+      replay: isObject(row.replay) ? row.replay : null,
+      ip: typeof row.ip === "string" ? row.ip : null,
+      hidden: row.hidden === true || row.hidden === "true",
+      createdAt
+    }
+  };
+}
+
+async function importEntries(store, file, { format, dryRun }) {
+  const rows = await readBackup(file, pickFormat(format, file));
+  const blockedTerms = await loadBlocklist(BLOCKLIST_FILE);
+  const known = new Set((await readAllEntries(store)).map((entry) => entry.id));
+  const seen = new Set();
+  const fresh = [];
+  const invalid = [];
+  let existing = 0;
+  let repeated = 0;
+  const now = Date.now();
+
+  for (const { line, row } of rows) {
+    const validation = validateRow(row, blockedTerms, now);
+    if (!validation.ok) {
+      invalid.push({ line, error: validation.error });
+    } else if (known.has(validation.value.id)) {
+      existing++;
+    } else if (seen.has(validation.value.id)) {
+      repeated++;
+    } else {
+      seen.add(validation.value.id);
+      fresh.push(validation.value);
+    }
+  }
+
+  console.log(`${rows.length} rows: ${fresh.length} new, ${existing} already stored, `
+    + `${repeated} repeated in the file, ${invalid.length} invalid.`);
+  for (const { line, error } of invalid) console.log(`  ${file}:${line}: ${error}`);
+  if (invalid.length > 0) process.exitCode = 1;
+  if (dryRun || fresh.length === 0) return;
+
+  const imported = await store.importEntries(fresh);
+  await audit(store, "cli.import", path.basename(file), {
+    imported, existing, repeated, invalid: invalid.length
+  });
+  console.log(`Imported ${imported} entries (older, lower scores may be dropped by retention).`);
+}
+
+// ==================== Prune ====================
+async function pruneEntries(store, { before, username, dryRun }) {
+  if (!before && !username) throw new UsageError("prune needs --before and/or --username.");
+  if (before && !(DATE_RE.test(before) && Number.isFinite(Date.parse(before)))) {
+    throw new UsageError("--before must be a YYYY-MM-DD date.");
+  }
+  const cutoff = before ? Date.parse(`${before}T00:00:00Z`) : Infinity;
+  const name = username?.toLowerCase();
+  const doomed = (await readAllEntries(store)).filter((entry) => entry.createdAt < cutoff
+    && (!name || entry.username.toLowerCase() === name));
+
+  if (dryRun) {
+    console.log(`Would delete ${doomed.length} entries.`);
+    return;
+  }
+  const deleted = await store.deleteEntries(doomed.map((entry) => entry.id));
+  if (deleted > 0) await audit(store, "cli.prune", username ? `username:${username}` : "leaderboard", { before: before ?? null, deleted });
+  console.log(`Deleted ${deleted} entries.`);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: "string" },
+      out: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      before: { type: "string" },
+      username: { type: "string" },
+      help: { type: "boolean", short: "h", default: false }
+    }
+  });
+  const [command, file] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!["export", "import", "prune"].includes(command)) throw new UsageError(`Unknown command "${command}".`);
+  if (command === "import" && !file) throw new UsageError("import needs a backup file.");
+
+  const store = await createStorage({ driver: STORAGE, dataDir: DATA_DIR, sqliteFile: SQLITE_FILE });
+  try {
+    const options = { ...values, dryRun: values["dry-run"] };
+    if (command === "export") await exportEntries(store, options);
+    if (command === "import") await importEntries(store, file, options);
+    if (command === "prune") await pruneEntries(store, options);
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  if (err instanceof UsageError || err.code?.startsWith("ERR_PARSE_ARGS")) console.error(`\n${USAGE}`);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+// RFC 4180 CSV for leaderboard exports: comma separated, CRLF rows, and
+// fields quoted when they contain a comma, quote or line break.
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `columns` picks and orders the fields written from each row object
+export function toCsv(rows, columns) {
+  const lines = [columns.join(","), ...rows.map((row) => columns.map((column) => escapeCell(row[column])).join(","))];
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// Rows as objects keyed by the header line, each with the 1-based `line`
+// it started on (for error reports); blank lines are skipped
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== "") records.push({ line: recordLine, cells: record });
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${recordLine}.`);
+  if (field !== "" || record.length > 0) endRecord();
+
+  const [header, ...rows] = records;
+  if (!header) return [];
+  const columns = header.cells.map((cell) => cell.trim());
+  return rows.map(({ line: rowLine, cells }) => ({
+    line: rowLine,
+    row: Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? ""]))
+  }));
+}
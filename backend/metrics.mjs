@@ -0,0 +1,121 @@
+// Minimal Prometheus metrics: counters, gauges and histograms with labels,
+// rendered in the text exposition format for GET /metrics. Label values are
+// kept low-cardinality by the callers (route patterns, not raw paths).
+
+// Seconds; covers fast reads up to slow replay verification and disk writes
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels);
+  if (pairs.length === 0) return "";
+  return `{${pairs.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    // label string -> { labels, value }
+    this.series = new Map();
+  }
+
+  get(labels) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) this.series.set(key, { labels, value: this.initial() });
+    return this.series.get(key);
+  }
+
+  initial() {
+    return 0;
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  render() {
+    return [
+      ...this.header(),
+      ...Array.from(this.series.values(), ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)
+    ];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help) {
+    super("counter", name, help);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.get(labels).value += amount;
+  }
+}
+
+// Gauges are read at scrape time from `collect`, which returns
+// [{ labels, value }] (or a bare number for a single unlabelled series)
+export class Gauge extends Metric {
+  constructor(name, help, collect) {
+    super("gauge", name, help);
+    this.collect = collect;
+  }
+
+  async render() {
+    const result = await this.collect();
+    const series = typeof result === "number" ? [{ labels: {}, value: result }] : result;
+    return [
+      ...this.header(),
+      ...series.map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)
+    ];
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help);
+    this.buckets = buckets;
+  }
+
+  initial() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, seconds) {
+    const { value } = this.get(labels);
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) value.counts[i]++;
+    });
+    value.sum += seconds;
+    value.count++;
+  }
+
+  // Time an async call; the observation is recorded even if it throws
+  async time(labels, fn) {
+    const start = process.hrtime.bigint();
+    try {
+      return await fn();
+    } finally {
+      this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+export async function renderMetrics(metrics) {
+  const blocks = await Promise.all(metrics.map((metric) => metric.render()));
+  return `${blocks.flat().join("\n")}\n`;
+}
@@ -0,0 +1,82 @@
+// Copy leaderboard.json (plus daily.json, users.json, bans.json and
+// audit.log next to it, if any) into the store picked by STORAGE, e.g.:
+//   STORAGE=sqlite node migrate.mjs ./data/leaderboard.json
+// Entries already in the target (same id) are skipped, so re-running is safe.
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createStorage } from "./storage/index.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STORAGE = process.env.STORAGE || "json";
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, "data"));
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, "zevia.db");
+
+async function readOptionalJson(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch {
+    return null;
+  }
+  return JSON.parse(raw);
+}
+
+async function readOptionalLines(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch {
+    return [];
+  }
+  return raw.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+async function main() {
+  const source = path.resolve(process.argv[2] || path.join(DATA_DIR, "leaderboard.json"));
+  const dir = path.dirname(source);
+  if (STORAGE === "json" && dir === DATA_DIR) {
+    throw new Error("Source and target are the same files. Set STORAGE=sqlite to migrate.");
+  }
+
+  const entries = await readOptionalJson(source);
+  if (!Array.isArray(entries)) {
+    throw new Error(`${source} is missing or not a leaderboard file.`);
+  }
+  const daily = await readOptionalJson(path.join(dir, "daily.json"));
+  const users = await readOptionalJson(path.join(dir, "users.json"));
+  const bans = await readOptionalJson(path.join(dir, "bans.json"));
+  const audit = await readOptionalLines(path.join(dir, "audit.log"));
+
+  const store = await createStorage({ driver: STORAGE, dataDir: DATA_DIR, sqliteFile: SQLITE_FILE });
+  try {
+    const imported = await store.importEntries(entries);
+    console.log(`Leaderboard: imported ${imported} of ${entries.length} entries.`);
+    if (daily) {
+      const dailyImported = await store.importDaily(daily);
+      console.log(`Daily boards: imported ${dailyImported} entries.`);
+    }
+    if (users) {
+      for (const user of Object.values(users)) await store.saveUser(user);
+      console.log(`Claimed names: imported ${Object.keys(users).length}.`);
+    }
+    if (Array.isArray(bans)) {
+      for (const ban of bans) await store.addBan(ban);
+      console.log(`Bans: imported ${bans.length}.`);
+    }
+    if (audit.length > 0) {
+      // Appended as-is: re-running the migration duplicates audit records
+      for (const record of audit) await store.addAudit(record);
+      console.log(`Audit log: imported ${audit.length} records.`);
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("Migration failed:", err.message);
+  process.exit(1);
+});
@@ -1,68 +1,191 @@
 import { createServer } from "node:http";
-import { promises as fs } from "node:fs";
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import { readFile } from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { DEFAULT_DIFFICULTY, DIFFICULTIES, isRanked } from "../js/difficulty.js";
+import { DEFAULT_PACK_ID, getPack, loadPacks } from "../js/flavor-packs.js";
+import { Game, DEFAULT_BOARD_SIZE, flavorTier } from "../js/game.js";
+import { getMaxTile, verifyReplay } from "../js/replay.js";
+import { Counter, Gauge, Histogram, renderMetrics } from "./metrics.mjs";
+import { createStorage } from "./storage/index.mjs";
+import { DAY_MS, PERIODS, difficultyOf, periodStart, sorted, utcDateKey } from "./storage/ranking.mjs";
+import { loadBlocklist, sanitizeUsername, toInt, validateScorePayload } from "./validation.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PORT = Number(process.env.PORT || 8787);
 const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || "*";
-const MAX_ENTRIES = 5000;
+const STORAGE = process.env.STORAGE || "json";
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, "zevia.db");
+// Admin routes are disabled unless a token is set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+// One blocked term per line; set to an empty string to disable the filter
+const BLOCKLIST_FILE = process.env.BLOCKLIST_FILE ?? path.join(__dirname, "blocklist.txt");
+// Reverse proxies in front of the server (0: clients connect directly). Each
+// one appends the address it got the request from to X-Forwarded-For, so
+// only that many entries from the end can be trusted.
+const TRUST_PROXY = Number(process.env.TRUST_PROXY || 0);
+// The game's flavor pack manifests, so replays on any shipped pack verify
+const PACKS_DIR = path.join(__dirname, "..", "assets", "packs");
+// Access logs carry a salted hash of the IP, never the IP itself. Set a
+// fixed salt to correlate hashes across restarts.
+const LOG_IP_SALT = process.env.LOG_IP_SALT || randomBytes(16).toString("hex");
 const DEFAULT_LIMIT = 20;
 const MAX_LIMIT = 100;
+const DEFAULT_AROUND = 5;
+const MAX_AROUND = 25;
+const PROFILE_HISTORY = 10;
+const STREAM_LIMIT = 10;
+const STREAM_HEARTBEAT_MS = 25_000;
+// Browsers reconnect after this long when a stream drops
+const STREAM_RETRY_MS = 3000;
+const MAX_STREAM_CLIENTS = 500;
 const RATE_LIMIT_WINDOW_MS = 60_000;
 const RATE_LIMIT_MAX = 15;
-const DATA_DIR = path.join(__dirname, "data");
-const DATA_FILE = path.join(DATA_DIR, "leaderboard.json");
+// Bodies carry the full move list, so allow long games (~1 MB)
+const MAX_BODY_BYTES = 1_048_576;
+// The main leaderboard only ranks the classic board with the default flavors,
+// so every score on it comes from the same game
+const RANKED_BOARD = { width: DEFAULT_BOARD_SIZE, height: DEFAULT_BOARD_SIZE, pack: DEFAULT_PACK_ID };
+// Unambiguous characters for recovery codes (no 0/O or 1/I)
+const RECOVERY_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVALID_PERIOD = `Invalid period (${PERIODS.join(", ")}).`;
+const INVALID_DIFFICULTY = `Invalid difficulty (${DIFFICULTIES.join(", ")}).`;
+const BAN_TYPES = ["username", "ip"];
+// Route patterns used as metric labels, so raw ids and names don't each
+// become a time series
+const ROUTES = [
+  ["/health", /^\/health$/],
+  ["/health/live", /^\/health\/live$/],
+  ["/metrics", /^\/metrics$/],
+  ["/api/leaderboard", /^\/api\/leaderboard$/],
+  ["/api/leaderboard/rank", /^\/api\/leaderboard\/rank$/],
+  ["/api/leaderboard/stream", /^\/api\/leaderboard\/stream$/],
+  ["/api/leaderboard/around/:id", /^\/api\/leaderboard\/around\/[^/]+$/],
+  ["/api/users/:username", /^\/api\/users\/[^/]+$/],
+  ["/api/users/:username/token", /^\/api\/users\/[^/]+\/token$/],
+  ["/api/users/:username/recover", /^\/api\/users\/[^/]+\/recover$/],
+  ["/api/daily/:date", /^\/api\/daily\/[^/]+$/],
+  ["/api/admin", /^\/api\/admin(\/|$)/]
+];
+const SUBMISSION_OUTCOMES = { 201: "accepted", 400: "invalid", 403: "forbidden", 409: "duplicate", 429: "rate_limited" };
+// Store methods that write, timed for zevia_storage_write_duration_seconds
+const STORE_WRITES = [
+  "addEntry",
+  "addDailyEntry",
+  "saveUser",
+  "claimUser",
+  "deleteUser",
+  "setEntryHidden",
+  "deleteEntry",
+  "hideUserEntries",
+  "addBan",
+  "removeBan",
+  "addAudit"
+];
 
 const perIpRequests = new Map();
-let writeChain = Promise.resolve();
+// Open /api/leaderboard/stream connections: { res, period, difficulty, limit, last }
+const streamClients = new Set();
+let store = null;
+let blockedTerms = [];
 
-async function ensureStorage() {
-  await fs.mkdir(DATA_DIR, { recursive: true });
-  try {
-    await fs.access(DATA_FILE);
-  } catch {
-    await fs.writeFile(DATA_FILE, "[]", "utf8");
-  }
+// ==================== Logging and metrics ====================
+// Logs are one JSON object per line: stdout for info, stderr for errors.
+function log(level, msg, fields = {}) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...fields });
+  // eslint-disable-next-line no-console
+  (level === "error" ? console.error : console.log)(line);
 }
 
-async function readEntries() {
-  await ensureStorage();
-  const raw = await fs.readFile(DATA_FILE, "utf8");
-  let parsed = [];
-  try {
-    parsed = JSON.parse(raw);
-  } catch {
-    parsed = [];
+function hashIp(ip) {
+  return createHash("sha256").update(`${LOG_IP_SALT}:${ip}`).digest("hex").slice(0, 16);
+}
+
+function routeLabel(pathname) {
+  return ROUTES.find(([, pattern]) => pattern.test(pathname))?.[0] || "other";
+}
+
+const httpRequests = new Counter("zevia_http_requests_total", "HTTP requests by method, route and status code.");
+const httpDuration = new Histogram("zevia_http_request_duration_seconds", "Time to respond, by route (live streams excluded).");
+const submissions = new Counter("zevia_submissions_total", "Score submissions by board and outcome.");
+const storageWrites = new Histogram("zevia_storage_write_duration_seconds", "Storage write latency, by store operation.");
+const METRICS = [
+  httpRequests,
+  httpDuration,
+  submissions,
+  storageWrites,
+  new Gauge("zevia_leaderboard_entries", "Visible entries on each difficulty's all-time leaderboard.", () => Promise.all(
+    DIFFICULTIES.map(async (difficulty) => ({
+      labels: { difficulty },
+      value: (await store.listEntries({ difficulty, limit: 1 })).total
+    }))
+  )),
+  new Gauge("zevia_stream_clients", "Open live leaderboard streams.", () => streamClients.size)
+];
+
+// Access log line and metrics for a finished (or aborted) request
+function recordRequest(req, res, method, url, started) {
+  const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+  const route = routeLabel(url.pathname);
+  const status = res.statusCode;
+  httpRequests.inc({ method, route, status });
+  if (route !== "/api/leaderboard/stream") httpDuration.observe({ route }, seconds);
+  if (method === "POST" && (route === "/api/leaderboard" || route === "/api/daily/:date")) {
+    const board = route === "/api/leaderboard" ? "leaderboard" : "daily";
+    submissions.inc({ board, outcome: SUBMISSION_OUTCOMES[status] || "error" });
   }
-  return Array.isArray(parsed) ? parsed : [];
+  log("info", "request", {
+    method,
+    path: url.pathname,
+    status,
+    latencyMs: Math.round(seconds * 10_000) / 10,
+    ipHash: hashIp(getIp(req))
+  });
 }
 
-function queueWrite(entries) {
-  writeChain = writeChain.then(async () => {
-    const tmp = `${DATA_FILE}.tmp`;
-    await fs.writeFile(tmp, JSON.stringify(entries), "utf8");
-    await fs.rename(tmp, DATA_FILE);
+// Time every write the server makes, whichever adapter is in use
+function instrumentStore(created) {
+  STORE_WRITES.forEach((op) => {
+    const write = created[op].bind(created);
+    created[op] = (...args) => storageWrites.time({ op }, () => write(...args));
   });
-  return writeChain;
+  return created;
+}
+
+// Readiness: storage can be written and read back right now
+async function checkStorage() {
+  const started = process.hrtime.bigint();
+  try {
+    await store.healthCheck();
+    return { ok: true, latencyMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10 };
+  } catch (err) {
+    log("error", "Storage health check failed", { error: err instanceof Error ? err.message : String(err) });
+    return { ok: false, error: "Storage is not readable and writable." };
+  }
 }
 
 function sendJson(res, statusCode, payload, origin) {
   res.writeHead(statusCode, {
     "Content-Type": "application/json; charset=utf-8",
     "Access-Control-Allow-Origin": origin,
-    "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type"
+    "Access-Control-Allow-Methods": "GET,POST,DELETE,OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization"
   });
   res.end(JSON.stringify(payload));
 }
 
+// The client's address, for rate limits and IP bans. X-Forwarded-For is only
+// read behind a trusted proxy: clients can send anything in it themselves.
 function getIp(req) {
-  const forwarded = req.headers["x-forwarded-for"];
-  if (typeof forwarded === "string" && forwarded.length > 0) {
-    return forwarded.split(",")[0].trim();
+  const forwarded = TRUST_PROXY > 0 && typeof req.headers["x-forwarded-for"] === "string"
+    ? req.headers["x-forwarded-for"].split(",").map((ip) => ip.trim()).filter(Boolean)
+    : [];
+  if (forwarded.length > 0) {
+    return forwarded[Math.max(0, forwarded.length - TRUST_PROXY)];
   }
   return req.socket.remoteAddress || "unknown";
 }
@@ -85,7 +208,7 @@ function parseJsonBody(req) {
     let body = "";
     req.on("data", (chunk) => {
       body += chunk.toString("utf8");
-      if (body.length > 16_384) {
+      if (body.length > MAX_BODY_BYTES) {
         reject(new Error("Payload too large"));
       }
     });
@@ -104,93 +227,752 @@ function parseJsonBody(req) {
   });
 }
 
-function sanitizeUsername(input) {
-  if (typeof input !== "string") return null;
-  const cleaned = input.trim().replace(/\s+/g, " ");
-  if (cleaned.length < 3 || cleaned.length > 16) return null;
-  if (!/^[A-Za-z0-9 _.-]+$/.test(cleaned)) return null;
-  return cleaned;
+// ==================== Claimed names ====================
+// The first submission for a name claims it and returns a secret token plus
+// a recovery code. Only SHA-256 hashes are stored; both secrets are random,
+// so a fast hash is enough.
+function hashSecret(secret) {
+  return createHash("sha256").update(secret).digest("hex");
+}
+
+function secretMatches(secret, hash) {
+  if (typeof secret !== "string" || secret === "" || typeof hash !== "string") return false;
+  const actual = Buffer.from(hashSecret(secret), "hex");
+  const expected = Buffer.from(hash, "hex");
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+function newToken() {
+  return randomBytes(24).toString("base64url");
 }
 
-function toInt(value) {
-  if (typeof value === "number") return Math.floor(value);
-  if (typeof value === "string" && value.trim() !== "") {
-    const parsed = Number(value);
-    if (Number.isFinite(parsed)) return Math.floor(parsed);
+// 16 characters (80 bits) shown as XXXX-XXXX-XXXX-XXXX
+function newRecoveryCode() {
+  const chars = Array.from(randomBytes(16), (byte) => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]);
+  return chars.join("").match(/.{4}/g).join("-");
+}
+
+// Case and separators don't matter when typing a recovery code in
+function normalizeRecoveryCode(code) {
+  return typeof code === "string" ? code.toUpperCase().replace(/[^A-Z0-9]/g, "") : "";
+}
+
+function getToken(req) {
+  const header = req.headers.authorization;
+  const match = typeof header === "string" ? header.match(/^Bearer\s+(\S+)$/i) : null;
+  return match ? match[1] : null;
+}
+
+// A fresh token + recovery code for a name, and the user record holding
+// their hashes (over `claim`, the name's current record if any)
+function newCredentials(username, claim = {}) {
+  const credentials = { token: newToken(), recoveryCode: newRecoveryCode() };
+  const user = {
+    username,
+    createdAt: Date.now(),
+    ...claim,
+    tokenHash: hashSecret(credentials.token),
+    recoveryHash: hashSecret(normalizeRecoveryCode(credentials.recoveryCode)),
+    rotatedAt: Date.now()
+  };
+  return { credentials, user };
+}
+
+const NAME_CLAIMED = "This name is claimed by another player. Use your recovery code to sign in on this device, or pick another name.";
+
+// Submissions for a claimed name need its token; an unclaimed name is
+// claimed on the spot. credentials is only set for a new claim. The claim
+// only succeeds if the name is still free when it's written, so of two
+// first submissions racing for a name, one gets it and the other is refused.
+async function authorizeName(username, token) {
+  const claim = await store.getUser(username);
+  if (claim) {
+    return secretMatches(token, claim.tokenHash)
+      ? { ok: true, credentials: null }
+      : { ok: false, error: NAME_CLAIMED };
+  }
+
+  const { credentials, user } = newCredentials(username);
+  if (!(await store.claimUser(user))) return { ok: false, error: NAME_CLAIMED };
+  return { ok: true, credentials };
+}
+
+// Undo a new claim whose entry couldn't be written: its token was never
+// sent, so keeping the claim would lock everyone out of the name
+async function releaseClaim(username, auth) {
+  if (auth.credentials) await store.deleteUser(username);
+}
+
+// A path segment with its %-escapes decoded (null if they're malformed)
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
   }
-  return NaN;
 }
 
-function validateScorePayload(payload) {
-  const username = sanitizeUsername(payload?.username);
-  const score = toInt(payload?.score);
-  const moves = toInt(payload?.moves);
-  const maxTile = payload?.maxTile === undefined ? null : toInt(payload.maxTile);
+function parseLimit(url) {
+  const limit = toInt(url.searchParams.get("limit"));
+  return Number.isInteger(limit) ? Math.max(1, Math.min(MAX_LIMIT, limit)) : DEFAULT_LIMIT;
+}
+
+function parseOffset(url) {
+  const offset = toInt(url.searchParams.get("offset"));
+  return Number.isInteger(offset) ? Math.max(0, offset) : 0;
+}
+
+// ?period=, defaulting to all time (null if unknown)
+function parsePeriod(url) {
+  const period = url.searchParams.get("period") || "all";
+  return PERIODS.includes(period) ? period : null;
+}
 
-  if (!username) return { ok: false, error: "Invalid username (3-16 chars)." };
-  if (!Number.isInteger(score) || score < 0 || score > 10_000_000) {
-    return { ok: false, error: "Invalid score." };
+// ?difficulty=, defaulting to Normal (null if unknown)
+function parseDifficulty(url) {
+  const difficulty = url.searchParams.get("difficulty") || DEFAULT_DIFFICULTY;
+  return DIFFICULTIES.includes(difficulty) ? difficulty : null;
+}
+
+// Re-play the submitted seed and moves with the game engine and only accept
+// the entry if it reproduces the claimed score, moves and max tile, and its
+// undo and hint counts are the ones the replay recorded. The entry is ranked
+// on the difficulty its rules match; games with custom rules or variants
+// (empty cans, wildcards) are refused. `board` pins the board size and
+// flavor pack, and for the daily challenge also the seed and difficulty.
+function verifySubmission(value, replay, board = RANKED_BOARD) {
+  if (!replay || typeof replay !== "object") {
+    return { ok: false, error: "Missing replay (seed and moves)." };
   }
-  if (!Number.isInteger(moves) || moves < 0 || moves > 100_000) {
-    return { ok: false, error: "Invalid move count." };
+  const { width, height, pack = DEFAULT_PACK_ID } = replay.rules || {};
+  if (width !== board.width || height !== board.height || pack !== board.pack) {
+    return { ok: false, error: `Only ${board.width}x${board.height} games with the ${getPack(board.pack).name} flavors can be ranked.` };
   }
-  if (maxTile !== null && (!Number.isInteger(maxTile) || maxTile < 0 || maxTile > 20)) {
-    return { ok: false, error: "Invalid maxTile." };
+  if (board.seed !== undefined && replay.seed !== board.seed) {
+    return { ok: false, error: "Replay is not for this board." };
   }
 
+  const { game, error } = verifyReplay(replay, value);
+  if (error) return { ok: false, error: `Replay rejected: ${error}.` };
+  const { difficulty } = game.rules;
+  if (!isRanked(game.rules)) {
+    return { ok: false, error: "Only Easy, Normal and Hard games without variants can be ranked." };
+  }
+  if (board.difficulty && difficulty !== board.difficulty) return { ok: false, error: "Replay is not for this board." };
+
   return {
     ok: true,
     value: {
-      username,
-      score,
-      moves,
-      maxTile
+      ...value,
+      maxTile: getMaxTile(game),
+      difficulty,
+      rules: game.getRules(),
+      replay: {
+        v: replay.v,
+        seed: game.seed,
+        rules: game.getRules(),
+        moves: replay.moves,
+        times: replay.times
+      }
     }
   };
 }
 
-function sorted(entries) {
-  return entries.sort((a, b) => {
-    if (b.score !== a.score) return b.score - a.score;
-    if (a.moves !== b.moves) return a.moves - b.moves;
-    return a.createdAt - b.createdAt;
-  });
+// Daily results are accepted for today's UTC date, plus yesterday so a game
+// started just before midnight can still be submitted.
+function validateDailyDate(date, now = Date.now()) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return { ok: false, error: "Invalid date (YYYY-MM-DD)." };
+  const parsed = Date.parse(`${date}T00:00:00Z`);
+  if (!Number.isFinite(parsed) || utcDateKey(parsed) !== date) {
+    return { ok: false, error: "Invalid date (YYYY-MM-DD)." };
+  }
+  if (date !== utcDateKey(now) && date !== utcDateKey(now - DAY_MS)) {
+    return { ok: false, error: "This daily challenge is closed." };
+  }
+  return { ok: true };
 }
 
-function withRanks(entries) {
-  return entries.map((entry, idx) => ({
-    rank: idx + 1,
+// Fields of a stored entry that are safe to return (no id or replay)
+function publicEntry(entry) {
+  return {
     username: entry.username,
     score: entry.score,
     moves: entry.moves,
     maxTile: entry.maxTile,
+    undos: entry.undos || 0,
+    hints: entry.hints || 0,
+    assisted: (entry.undos || 0) > 0 || (entry.hints || 0) > 0,
+    difficulty: difficultyOf(entry),
+    // Entries from before the replay check have no rules
+    width: entry.rules?.width ?? null,
+    height: entry.rules?.height ?? null,
     createdAt: entry.createdAt
-  }));
+  };
 }
 
-const server = createServer(async (req, res) => {
-  const origin = ALLOWED_ORIGIN;
-  const method = req.method || "GET";
-  const url = new URL(req.url || "/", `http://${req.headers.host || "localhost"}`);
+function withRanks(entries, firstRank = 1) {
+  return entries.map((entry, idx) => ({ rank: firstRank + idx, ...publicEntry(entry) }));
+}
+
+// Name of an entry's top flavor in the pack it was played with
+function flavorName(entry) {
+  const pack = getPack(entry.rules?.pack) || getPack(DEFAULT_PACK_ID);
+  return flavorTier(entry.maxTile, pack.names)?.name ?? null;
+}
+
+// Aggregate a player's retained leaderboard entries (null if they have none)
+async function buildProfile(username) {
+  const own = sorted(await store.getUserEntries(username));
+  if (own.length === 0) return null;
+
+  const byDate = own.slice().sort((a, b) => b.createdAt - a.createdAt);
+  const top = own
+    .filter((entry) => Number.isInteger(entry.maxTile))
+    .reduce((best, entry) => (!best || entry.maxTile > best.maxTile ? entry : best), null);
+  const totalMoves = own.reduce((sum, entry) => sum + entry.moves, 0);
+
+  return {
+    username: byDate[0].username,
+    bestScore: own[0].score,
+    // Rank on the best score's own difficulty board
+    bestRank: await store.rankOfEntry(own[0].id),
+    bestDifficulty: difficultyOf(own[0]),
+    gamesSubmitted: own.length,
+    maxTile: top ? top.maxTile : null,
+    maxFlavor: top ? flavorName(top) : null,
+    averageMoves: Math.round(totalMoves / own.length),
+    firstSeen: byDate[byDate.length - 1].createdAt,
+    lastSeen: byDate[0].createdAt,
+    recent: byDate.slice(0, PROFILE_HISTORY).map((entry) => ({
+      ...publicEntry(entry),
+      flavor: flavorName(entry)
+    }))
+  };
+}
+
+// ==================== Live updates ====================
+// GET /api/leaderboard/stream keeps a Server-Sent Events connection open.
+// Each client gets a `snapshot` of its window's top entries, then an
+// `update` whenever that top list changes (new scores, moderation), with
+// `arrival` set to the new entry's rank when it made the list. A
+// `heartbeat` event every 25s keeps proxies from closing idle streams and
+// lets clients notice a dead connection.
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function topEntries(period, difficulty, limit) {
+  const { total, entries } = await store.listEntries({ since: periodStart(period), difficulty, offset: 0, limit });
+  return { period, difficulty, total, entries: withRanks(entries) };
+}
+
+async function openStream(req, res, url, origin) {
+  const period = parsePeriod(url);
+  const difficulty = parseDifficulty(url);
+  if (!period) {
+    sendJson(res, 400, { error: INVALID_PERIOD }, origin);
+    return;
+  }
+  if (!difficulty) {
+    sendJson(res, 400, { error: INVALID_DIFFICULTY }, origin);
+    return;
+  }
+  if (streamClients.size >= MAX_STREAM_CLIENTS) {
+    sendJson(res, 503, { error: "Too many live connections. Try again later." }, origin);
+    return;
+  }
+
+  const limitParam = toInt(url.searchParams.get("limit"));
+  const limit = Number.isInteger(limitParam) ? Math.max(1, Math.min(MAX_LIMIT, limitParam)) : STREAM_LIMIT;
+  const top = await topEntries(period, difficulty, limit);
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": origin,
+    // Let nginx and friends pass events through unbuffered
+    "X-Accel-Buffering": "no"
+  });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const client = { res, period, difficulty, limit, last: JSON.stringify(top.entries) };
+  streamClients.add(client);
+  sendEvent(res, "snapshot", top);
+  req.on("close", () => streamClients.delete(client));
+}
+
+// Push the new top lists after a change; `id` is a just-accepted entry
+async function broadcastLeaderboard(id = null) {
+  const groups = new Map();
+  for (const client of streamClients) {
+    const key = `${client.period}:${client.difficulty}:${client.limit}`;
+    groups.set(key, [...(groups.get(key) || []), client]);
+  }
+
+  for (const clients of groups.values()) {
+    const { period, difficulty, limit } = clients[0];
+    const top = await topEntries(period, difficulty, limit);
+    const placed = id ? await store.findAround({ since: periodStart(period), difficulty, id, n: 0 }) : null;
+    const arrival = placed && placed.rank <= limit ? placed.rank : null;
+    const last = JSON.stringify(top.entries);
+    clients.forEach((client) => {
+      if (client.last === last && arrival === null) return;
+      client.last = last;
+      sendEvent(client.res, "update", { ...top, arrival });
+    });
+  }
+}
+
+// Fire-and-forget: a failed push must not fail the request that caused it
+function notifyStreams(id = null) {
+  if (streamClients.size === 0) return;
+  broadcastLeaderboard(id).catch((err) => {
+    log("error", "Failed to push leaderboard update", { error: err instanceof Error ? err.message : String(err) });
+  });
+}
+
+setInterval(() => {
+  streamClients.forEach((client) => sendEvent(client.res, "heartbeat", { at: Date.now() }));
+}, STREAM_HEARTBEAT_MS).unref();
+
+// ==================== Admin ====================
+// Moderation routes under /api/admin. They only exist when ADMIN_TOKEN is
+// set and need `Authorization: Bearer <ADMIN_TOKEN>`; every change they
+// make is written to the audit log.
+const ADMIN_TOKEN_HASH = ADMIN_TOKEN ? hashSecret(ADMIN_TOKEN) : null;
+
+function isAdmin(req) {
+  return ADMIN_TOKEN_HASH !== null && secretMatches(getToken(req), ADMIN_TOKEN_HASH);
+}
+
+// Error message if the IP or name is banned, otherwise null
+async function findBanError(ip, username = null) {
+  if (await store.findBan("ip", ip)) return "Submissions from this address are blocked.";
+  if (username && await store.findBan("username", username.toLowerCase())) return "This name is banned.";
+  return null;
+}
+
+// Usernames are banned case-insensitively; IPs as written
+function normalizeBanValue(type, value) {
+  if (type === "username") return sanitizeUsername(value)?.toLowerCase() || null;
+  if (type === "ip") return typeof value === "string" && /^[0-9A-Fa-f.:]{2,45}$/.test(value.trim()) ? value.trim() : null;
+  return null;
+}
+
+// Full entry for moderators: public fields plus id, board, submitter IP and visibility
+function adminEntry(entry, date) {
+  return { id: entry.id, ...publicEntry(entry), date: date || null, ip: entry.ip || null, hidden: Boolean(entry.hidden) };
+}
+
+function audit(req, action, target, details = null) {
+  return store.addAudit({ at: Date.now(), action, target, details, ip: getIp(req) });
+}
+
+async function handleAdmin(req, res, url, method, origin) {
+  if (!ADMIN_TOKEN_HASH) {
+    sendJson(res, 404, { error: "Not found" }, origin);
+    return;
+  }
+  if (!isAdmin(req)) {
+    // Failed attempts count against the write rate limit
+    if (!checkRateLimit(getIp(req))) {
+      sendJson(res, 429, { error: "Too many requests. Try again in a minute." }, origin);
+      return;
+    }
+    sendJson(res, 401, { error: "Admin token required." }, origin);
+    return;
+  }
+
+  const route = url.pathname.slice("/api/admin".length);
+
+  if (method === "GET" && route === "/entries") {
+    const limit = parseLimit(url);
+    const offset = parseOffset(url);
+    const date = url.searchParams.get("date");
+    const usernameParam = url.searchParams.get("username");
+    const username = usernameParam === null ? null : sanitizeUsername(usernameParam);
+    if (date !== null && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      sendJson(res, 400, { error: "Invalid date (YYYY-MM-DD)." }, origin);
+      return;
+    }
+    if (usernameParam !== null && !username) {
+      sendJson(res, 400, { error: "Invalid username (3-16 chars)." }, origin);
+      return;
+    }
+
+    const { total, entries } = await store.listAllEntries({ date, username, offset, limit });
+    sendJson(res, 200, {
+      total,
+      offset,
+      nextOffset: offset + limit < total ? offset + limit : null,
+      entries: entries.map((entry) => adminEntry(entry, date))
+    }, origin);
+    return;
+  }
+
+  const entryMatch = route.match(/^\/entries\/([^/]+)(?:\/(hide|unhide))?$/);
+
+  if (entryMatch && ((method === "DELETE" && !entryMatch[2]) || (method === "POST" && entryMatch[2]))) {
+    const id = decodeSegment(entryMatch[1]);
+    const action = entryMatch[2] || "delete";
+    if (id === null) {
+      sendJson(res, 400, { error: "Invalid entry id." }, origin);
+      return;
+    }
+    const result = action === "delete"
+      ? await store.deleteEntry(id)
+      : await store.setEntryHidden(id, action === "hide");
+    if (!result) {
+      sendJson(res, 404, { error: "Entry not found." }, origin);
+      return;
+    }
+
+    const entry = adminEntry(result.entry, result.date);
+    await audit(req, `entry.${action}`, id, { username: entry.username, score: entry.score, date: entry.date });
+    sendJson(res, 200, { ok: true, entry }, origin);
+    if (!entry.date) notifyStreams();
+    return;
+  }
+
+  if (method === "GET" && route === "/bans") {
+    sendJson(res, 200, { bans: await store.listBans() }, origin);
+    return;
+  }
+
+  if (method === "POST" && route === "/bans") {
+    try {
+      const payload = await parseJsonBody(req);
+      const type = payload?.type;
+      const value = normalizeBanValue(type, payload?.value);
+      const reason = typeof payload?.reason === "string" ? payload.reason.trim().slice(0, 200) : null;
+      if (!BAN_TYPES.includes(type)) {
+        sendJson(res, 400, { error: `Invalid ban type (${BAN_TYPES.join(", ")}).` }, origin);
+        return;
+      }
+      if (!value) {
+        sendJson(res, 400, { error: `Invalid ${type}.` }, origin);
+        return;
+      }
+
+      const ban = { type, value, reason: reason || null, createdAt: Date.now() };
+      await store.addBan(ban);
+      // A banned name disappears from the boards too
+      const hiddenEntries = type === "username" ? await store.hideUserEntries(value) : 0;
+      await audit(req, "ban.add", `${type}:${value}`, { reason: ban.reason, hiddenEntries });
+      sendJson(res, 201, { ok: true, ban, hiddenEntries }, origin);
+      if (hiddenEntries > 0) notifyStreams();
+    } catch (err) {
+      const message = err instanceof Error ? err.message : "Bad request";
+      sendJson(res, 400, { error: message }, origin);
+    }
+    return;
+  }
+
+  const banMatch = route.match(/^\/bans\/([^/]+)\/([^/]+)$/);
+
+  if (method === "DELETE" && banMatch) {
+    const type = decodeSegment(banMatch[1]);
+    const rawValue = decodeSegment(banMatch[2]);
+    if (type === null || rawValue === null) {
+      sendJson(res, 400, { error: "Invalid ban." }, origin);
+      return;
+    }
+    const value = normalizeBanValue(type, rawValue);
+    if (!value || !(await store.removeBan(type, value))) {
+      sendJson(res, 404, { error: "Ban not found." }, origin);
+      return;
+    }
+    await audit(req, "ban.remove", `${type}:${value}`);
+    sendJson(res, 200, { ok: true }, origin);
+    return;
+  }
 
+  if (method === "GET" && route === "/audit") {
+    sendJson(res, 200, { entries: await store.listAudit(parseLimit(url)) }, origin);
+    return;
+  }
+
+  sendJson(res, 404, { error: "Not found" }, origin);
+}
+
+async function handleRequest(req, res, method, url, origin) {
   if (method === "OPTIONS") {
     sendJson(res, 204, {}, origin);
     return;
   }
 
   if (method === "GET" && url.pathname === "/health") {
+    const storage = await checkStorage();
+    sendJson(res, storage.ok ? 200 : 503, { ok: storage.ok, storage: { driver: STORAGE, ...storage } }, origin);
+    return;
+  }
+
+  // Liveness: the process is up and serving, whatever storage says
+  if (method === "GET" && url.pathname === "/health/live") {
     sendJson(res, 200, { ok: true }, origin);
     return;
   }
 
+  if (method === "GET" && url.pathname === "/metrics") {
+    const body = await renderMetrics(METRICS);
+    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+    res.end(body);
+    return;
+  }
+
+  if (url.pathname === "/api/admin" || url.pathname.startsWith("/api/admin/")) {
+    await handleAdmin(req, res, url, method, origin);
+    return;
+  }
+
   if (method === "GET" && url.pathname === "/api/leaderboard") {
-    const limitParam = toInt(url.searchParams.get("limit"));
-    const limit = Number.isInteger(limitParam)
-      ? Math.max(1, Math.min(MAX_LIMIT, limitParam))
-      : DEFAULT_LIMIT;
+    const limit = parseLimit(url);
+    const offset = parseOffset(url);
+    const period = parsePeriod(url);
+    const difficulty = parseDifficulty(url);
+    if (!period) {
+      sendJson(res, 400, { error: INVALID_PERIOD }, origin);
+      return;
+    }
+    if (!difficulty) {
+      sendJson(res, 400, { error: INVALID_DIFFICULTY }, origin);
+      return;
+    }
+
+    const since = periodStart(period);
+    const { total, entries } = await store.listEntries({ since, difficulty, offset, limit });
+    const nextOffset = offset + limit < total ? offset + limit : null;
+    sendJson(res, 200, {
+      period,
+      difficulty,
+      since,
+      total,
+      offset,
+      nextOffset,
+      entries: withRanks(entries, offset + 1)
+    }, origin);
+    return;
+  }
+
+  if (method === "GET" && url.pathname === "/api/leaderboard/rank") {
+    const score = toInt(url.searchParams.get("score"));
+    const movesParam = url.searchParams.get("moves");
+    const moves = movesParam === null ? Infinity : toInt(movesParam);
+    const period = parsePeriod(url);
+    const difficulty = parseDifficulty(url);
+    if (!Number.isInteger(score) || score < 0) {
+      sendJson(res, 400, { error: "Invalid score." }, origin);
+      return;
+    }
+    if (moves !== Infinity && (!Number.isInteger(moves) || moves < 0)) {
+      sendJson(res, 400, { error: "Invalid move count." }, origin);
+      return;
+    }
+    if (!period) {
+      sendJson(res, 400, { error: INVALID_PERIOD }, origin);
+      return;
+    }
+    if (!difficulty) {
+      sendJson(res, 400, { error: INVALID_DIFFICULTY }, origin);
+      return;
+    }
+
+    const { rank, total } = await store.rankForScore({ since: periodStart(period), difficulty, score, moves });
+    sendJson(res, 200, { period, difficulty, score, rank, total }, origin);
+    return;
+  }
+
+  if (method === "GET" && url.pathname === "/api/leaderboard/stream") {
+    await openStream(req, res, url, origin);
+    return;
+  }
+
+  const aroundMatch = url.pathname.match(/^\/api\/leaderboard\/around\/([^/]+)$/);
+
+  if (method === "GET" && aroundMatch) {
+    const id = decodeSegment(aroundMatch[1]);
+    const nParam = toInt(url.searchParams.get("n"));
+    const n = Number.isInteger(nParam) ? Math.max(1, Math.min(MAX_AROUND, nParam)) : DEFAULT_AROUND;
+    const period = parsePeriod(url);
+    const difficulty = parseDifficulty(url);
+    if (!period) {
+      sendJson(res, 400, { error: INVALID_PERIOD }, origin);
+      return;
+    }
+    if (!difficulty) {
+      sendJson(res, 400, { error: INVALID_DIFFICULTY }, origin);
+      return;
+    }
+    if (id === null) {
+      sendJson(res, 400, { error: "Invalid entry id." }, origin);
+      return;
+    }
+
+    const around = await store.findAround({ since: periodStart(period), difficulty, id, n });
+    if (!around) {
+      sendJson(res, 404, { error: "Entry not found." }, origin);
+      return;
+    }
+    sendJson(res, 200, {
+      period,
+      difficulty,
+      id,
+      rank: around.rank,
+      total: around.total,
+      entries: withRanks(around.entries, around.firstRank)
+    }, origin);
+    return;
+  }
+
+  const userMatch = url.pathname.match(/^\/api\/users\/([^/]+)$/);
+
+  if (method === "GET" && userMatch) {
+    const username = sanitizeUsername(decodeSegment(userMatch[1]));
+    if (!username) {
+      sendJson(res, 400, { error: "Invalid username (3-16 chars)." }, origin);
+      return;
+    }
+
+    const profile = await buildProfile(username);
+    if (!profile) {
+      sendJson(res, 404, { error: "No scores for this player yet." }, origin);
+      return;
+    }
+    sendJson(res, 200, profile, origin);
+    return;
+  }
+
+  const credentialsMatch = url.pathname.match(/^\/api\/users\/([^/]+)\/(token|recover)$/);
+
+  if (method === "POST" && credentialsMatch) {
+    const ip = getIp(req);
+    if (!checkRateLimit(ip)) {
+      sendJson(res, 429, { error: "Too many requests. Try again in a minute." }, origin);
+      return;
+    }
+
+    try {
+      const username = sanitizeUsername(decodeSegment(credentialsMatch[1]));
+      const banError = await findBanError(ip, username);
+      if (banError) {
+        sendJson(res, 403, { error: banError }, origin);
+        return;
+      }
+      const claim = username ? await store.getUser(username) : null;
+      if (!claim) {
+        sendJson(res, 404, { error: "This name hasn't been claimed." }, origin);
+        return;
+      }
+
+      if (credentialsMatch[2] === "token") {
+        // Rotate: the current token buys a new one (the recovery code stays)
+        if (!secretMatches(getToken(req), claim.tokenHash)) {
+          sendJson(res, 403, { error: "Invalid token." }, origin);
+          return;
+        }
+        const token = newToken();
+        await store.saveUser({ ...claim, tokenHash: hashSecret(token), rotatedAt: Date.now() });
+        sendJson(res, 200, { username: claim.username, token }, origin);
+        return;
+      }
+
+      // Recover: the recovery code moves the name to this device. Both
+      // secrets are replaced, so the old device and code stop working.
+      const payload = await parseJsonBody(req);
+      if (!secretMatches(normalizeRecoveryCode(payload?.recoveryCode), claim.recoveryHash)) {
+        sendJson(res, 403, { error: "Invalid recovery code." }, origin);
+        return;
+      }
+      const { credentials, user } = newCredentials(claim.username, claim);
+      await store.saveUser(user);
+      sendJson(res, 200, { username: claim.username, ...credentials }, origin);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : "Bad request";
+      sendJson(res, 400, { error: message }, origin);
+    }
+    return;
+  }
+
+  const dailyMatch = url.pathname.match(/^\/api\/daily\/([^/]+)$/);
+
+  if (method === "GET" && dailyMatch) {
+    const date = decodeSegment(dailyMatch[1]);
+    if (date === null || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      sendJson(res, 400, { error: "Invalid date (YYYY-MM-DD)." }, origin);
+      return;
+    }
+    const limit = parseLimit(url);
+    const entries = await store.listDaily(date, limit);
+    sendJson(res, 200, { date, entries: withRanks(entries) }, origin);
+    return;
+  }
+
+  if (method === "POST" && dailyMatch) {
+    const ip = getIp(req);
+    if (!checkRateLimit(ip)) {
+      sendJson(res, 429, { error: "Too many requests. Try again in a minute." }, origin);
+      return;
+    }
+
+    try {
+      const date = decodeSegment(dailyMatch[1]) ?? "";
+      const dateCheck = validateDailyDate(date);
+      if (!dateCheck.ok) {
+        sendJson(res, 400, { error: dateCheck.error }, origin);
+        return;
+      }
+
+      const payload = await parseJsonBody(req);
+      const validation = validateScorePayload(payload, { blockedTerms });
+      if (!validation.ok) {
+        sendJson(res, 400, { error: validation.error }, origin);
+        return;
+      }
+      const verified = verifySubmission(validation.value, payload.replay, {
+        ...RANKED_BOARD,
+        seed: Game.dailySeed(date),
+        difficulty: DEFAULT_DIFFICULTY
+      });
+      if (!verified.ok) {
+        sendJson(res, 400, { error: verified.error }, origin);
+        return;
+      }
+
+      const banError = await findBanError(ip, verified.value.username);
+      if (banError) {
+        sendJson(res, 403, { error: banError }, origin);
+        return;
+      }
+      if (await store.hasDailyEntry(date, verified.value.username)) {
+        sendJson(res, 409, { error: "You already played today's challenge." }, origin);
+        return;
+      }
 
-    const entries = sorted(await readEntries()).slice(0, limit);
-    sendJson(res, 200, { entries: withRanks(entries) }, origin);
+      const auth = await authorizeName(verified.value.username, getToken(req));
+      if (!auth.ok) {
+        sendJson(res, 403, { error: auth.error }, origin);
+        return;
+      }
+
+      const id = crypto.randomUUID();
+      let rank;
+      try {
+        rank = await store.addDailyEntry(date, {
+          id,
+          ...verified.value,
+          ip,
+          createdAt: Date.now()
+        });
+      } catch (err) {
+        await releaseClaim(verified.value.username, auth);
+        throw err;
+      }
+
+      sendJson(res, 201, { ok: true, id, rank, ...auth.credentials }, origin);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : "Bad request";
+      sendJson(res, 400, { error: message }, origin);
+    }
     return;
   }
 
@@ -203,22 +985,43 @@ const server = createServer(async (req, res) => {
 
     try {
       const payload = await parseJsonBody(req);
-      const validation = validateScorePayload(payload);
+      const validation = validateScorePayload(payload, { blockedTerms });
       if (!validation.ok) {
         sendJson(res, 400, { error: validation.error }, origin);
         return;
       }
+      const verified = verifySubmission(validation.value, payload.replay);
+      if (!verified.ok) {
+        sendJson(res, 400, { error: verified.error }, origin);
+        return;
+      }
+      const banError = await findBanError(ip, verified.value.username);
+      if (banError) {
+        sendJson(res, 403, { error: banError }, origin);
+        return;
+      }
+      const auth = await authorizeName(verified.value.username, getToken(req));
+      if (!auth.ok) {
+        sendJson(res, 403, { error: auth.error }, origin);
+        return;
+      }
 
-      const entries = await readEntries();
-      entries.push({
-        id: crypto.randomUUID(),
-        ...validation.value,
-        createdAt: Date.now()
-      });
-      const cleaned = sorted(entries).slice(0, MAX_ENTRIES);
-      await queueWrite(cleaned);
+      const id = crypto.randomUUID();
+      let rank;
+      try {
+        rank = await store.addEntry({
+          id,
+          ...verified.value,
+          ip,
+          createdAt: Date.now()
+        });
+      } catch (err) {
+        await releaseClaim(verified.value.username, auth);
+        throw err;
+      }
 
-      sendJson(res, 201, { ok: true }, origin);
+      sendJson(res, 201, { ok: true, id, rank, ...auth.credentials }, origin);
+      notifyStreams(id);
     } catch (err) {
       const message = err instanceof Error ? err.message : "Bad request";
       sendJson(res, 400, { error: message }, origin);
@@ -227,17 +1030,45 @@ const server = createServer(async (req, res) => {
   }
 
   sendJson(res, 404, { error: "Not found" }, origin);
+}
+
+const server = createServer((req, res) => {
+  const started = process.hrtime.bigint();
+  const origin = ALLOWED_ORIGIN;
+  const method = req.method || "GET";
+  const url = new URL(req.url || "/", `http://${req.headers.host || "localhost"}`);
+  res.on("close", () => recordRequest(req, res, method, url, started));
+
+  handleRequest(req, res, method, url, origin).catch((err) => {
+    log("error", "Request failed", {
+      method,
+      path: url.pathname,
+      error: err instanceof Error ? err.message : String(err)
+    });
+    if (res.headersSent) res.end();
+    else sendJson(res, 500, { error: "Internal server error." }, origin);
+  });
 });
 
-ensureStorage()
-  .then(() => {
+Promise.all([
+  createStorage({ driver: STORAGE, dataDir: DATA_DIR, sqliteFile: SQLITE_FILE }),
+  loadBlocklist(BLOCKLIST_FILE),
+  loadPacks(async (file) => JSON.parse(await readFile(path.join(PACKS_DIR, file), "utf8")))
+])
+  .then(([created, terms, packs]) => {
+    store = instrumentStore(created);
+    blockedTerms = terms;
+    // Replays on a pack that failed to load are rejected as unknown
+    packs.failures.forEach((failure) => log("error", "Skipped flavor pack", { failure }));
     server.listen(PORT, () => {
-      // eslint-disable-next-line no-console
-      console.log(`Leaderboard API listening on http://localhost:${PORT}`);
+      log("info", "Leaderboard API listening", {
+        url: `http://localhost:${server.address().port}`,
+        storage: STORAGE,
+        packs: packs.loaded
+      });
     });
   })
   .catch((err) => {
-    // eslint-disable-next-line no-console
-    console.error("Failed to initialize leaderboard storage:", err);
+    log("error", "Failed to initialize the leaderboard", { error: err instanceof Error ? err.message : String(err) });
     process.exit(1);
   });
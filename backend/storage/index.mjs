@@ -0,0 +1,21 @@
+// Storage adapters share one async interface (see json-store.mjs for the
+// reference implementation). STORAGE picks the adapter: "json" (default)
+// or "sqlite".
+import path from "node:path";
+import { JsonStore } from "./json-store.mjs";
+import { SqliteStore } from "./sqlite-store.mjs";
+
+export const STORAGE_DRIVERS = ["json", "sqlite"];
+
+export async function createStorage({ driver = "json", dataDir, sqliteFile } = {}) {
+  let store;
+  if (driver === "json") {
+    store = new JsonStore({ dataDir });
+  } else if (driver === "sqlite") {
+    store = new SqliteStore({ file: sqliteFile || path.join(dataDir, "zevia.db") });
+  } else {
+    throw new Error(`Unknown STORAGE "${driver}" (${STORAGE_DRIVERS.join(", ")}).`);
+  }
+  await store.init();
+  return store;
+}
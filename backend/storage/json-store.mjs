@@ -0,0 +1,354 @@
+// JSON file storage: the original format, loaded into memory once and
+// rewritten atomically (.tmp + rename) after every change. Simple and
+// dependency-free, but only safe with a single server process.
+import { constants, promises as fs } from "node:fs";
+import path from "node:path";
+import { DEFAULT_DIFFICULTY } from "../../js/difficulty.js";
+import {
+  MAX_ENTRIES,
+  difficultyOf,
+  isAheadOfScore,
+  oldestDailyDate,
+  pruneEntries,
+  rankOf,
+  sorted
+} from "./ranking.mjs";
+
+const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+const visible = (entries) => entries.filter((entry) => !entry.hidden);
+const byNewest = (a, b) => b.createdAt - a.createdAt;
+
+export class JsonStore {
+  constructor({ dataDir }) {
+    this.dataDir = dataDir;
+    this.files = {
+      entries: path.join(dataDir, "leaderboard.json"),
+      daily: path.join(dataDir, "daily.json"),
+      users: path.join(dataDir, "users.json"),
+      bans: path.join(dataDir, "bans.json"),
+      audit: path.join(dataDir, "audit.log")
+    };
+    // leaderboard.json: [entries]
+    this.entries = [];
+    // daily.json: { "2026-10-19": [entries] }
+    this.daily = {};
+    // users.json: { "isaiah": { username, tokenHash, recoveryHash, createdAt, rotatedAt } }
+    this.users = {};
+    // bans.json: [{ type: "username" | "ip", value, reason, createdAt }]
+    this.bans = [];
+    // audit.log: one JSON admin action per line, oldest first
+    this.audit = [];
+    this.writeChain = Promise.resolve();
+  }
+
+  async init() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+    const entries = await this.load(this.files.entries, []);
+    const daily = await this.load(this.files.daily, {});
+    const users = await this.load(this.files.users, {});
+    const bans = await this.load(this.files.bans, []);
+    this.entries = Array.isArray(entries) ? entries : [];
+    this.daily = isObject(daily) ? daily : {};
+    this.users = isObject(users) ? users : {};
+    this.bans = Array.isArray(bans) ? bans : [];
+    this.audit = await this.loadLines(this.files.audit);
+  }
+
+  async close() {
+    await this.writeChain;
+  }
+
+  // Readiness: the last write succeeded, the data files are writable and a
+  // probe file round-trips through the data directory
+  async healthCheck() {
+    await this.writeChain;
+    for (const file of Object.values(this.files)) {
+      try {
+        await fs.access(file, constants.W_OK);
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    }
+    const probe = path.join(this.dataDir, ".health-check");
+    const stamp = String(Date.now());
+    await fs.writeFile(probe, stamp, "utf8");
+    const read = await fs.readFile(probe, "utf8");
+    await fs.unlink(probe);
+    if (read !== stamp) throw new Error("Storage probe read back different data.");
+  }
+
+  async load(file, empty) {
+    let raw;
+    try {
+      raw = await fs.readFile(file, "utf8");
+    } catch {
+      await fs.writeFile(file, JSON.stringify(empty), "utf8");
+      return empty;
+    }
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return empty;
+    }
+  }
+
+  async loadLines(file) {
+    let raw;
+    try {
+      raw = await fs.readFile(file, "utf8");
+    } catch {
+      return [];
+    }
+    return raw.split("\n").flatMap((line) => {
+      try {
+        return line ? [JSON.parse(line)] : [];
+      } catch {
+        return [];
+      }
+    });
+  }
+
+  persist(file, data) {
+    const json = JSON.stringify(data);
+    // A failed write rejects its own caller but mustn't block later ones
+    this.writeChain = this.writeChain.catch(() => {}).then(async () => {
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, json, "utf8");
+      await fs.rename(tmp, file);
+    });
+    return this.writeChain;
+  }
+
+  appendLine(file, data) {
+    const line = `${JSON.stringify(data)}\n`;
+    this.writeChain = this.writeChain.catch(() => {}).then(() => fs.appendFile(file, line, "utf8"));
+    return this.writeChain;
+  }
+
+  // ---------- Leaderboard ----------
+  // Public reads skip hidden entries; admin reads (listAllEntries) don't.
+
+  window(since, difficulty) {
+    return sorted(visible(this.entries)
+      .filter((entry) => entry.createdAt >= since && difficultyOf(entry) === difficulty));
+  }
+
+  async listEntries({ since = 0, difficulty = DEFAULT_DIFFICULTY, offset = 0, limit }) {
+    const all = this.window(since, difficulty);
+    return { total: all.length, entries: all.slice(offset, offset + limit) };
+  }
+
+  async rankForScore({ since = 0, difficulty = DEFAULT_DIFFICULTY, score, moves }) {
+    const all = this.window(since, difficulty);
+    const ahead = all.filter((entry) => isAheadOfScore(entry, score, moves)).length;
+    return { rank: ahead + 1, total: all.length };
+  }
+
+  // An entry and up to n neighbours each side (null if not in the window
+  // or on another difficulty's board)
+  async findAround({ since = 0, difficulty = DEFAULT_DIFFICULTY, id, n }) {
+    const all = this.window(since, difficulty);
+    const rank = rankOf(all, id);
+    if (rank === null) return null;
+    const start = Math.max(0, rank - 1 - n);
+    return { rank, total: all.length, firstRank: start + 1, entries: all.slice(start, rank + n) };
+  }
+
+  // All-time rank on the entry's own difficulty board
+  async rankOfEntry(id) {
+    const entry = this.entries.find((candidate) => candidate.id === id);
+    return entry ? rankOf(this.window(0, difficultyOf(entry)), id) : null;
+  }
+
+  async getUserEntries(username) {
+    const name = username.toLowerCase();
+    return visible(this.entries).filter((entry) => entry.username.toLowerCase() === name);
+  }
+
+  // Store an entry, prune, and return its all-time rank on its difficulty's
+  // board (null if pruned)
+  async addEntry(entry, now = Date.now()) {
+    this.entries = pruneEntries([...this.entries, entry], now);
+    await this.persist(this.files.entries, this.entries);
+    return this.rankOfEntry(entry.id);
+  }
+
+  // Bulk load (migrations); entries whose id already exists are skipped
+  async importEntries(entries, now = Date.now()) {
+    const known = new Set(this.entries.map((entry) => entry.id));
+    const fresh = entries.filter((entry) => !known.has(entry.id));
+    this.entries = pruneEntries([...this.entries, ...fresh], now);
+    await this.persist(this.files.entries, this.entries);
+    return fresh.length;
+  }
+
+  // ---------- Daily boards ----------
+
+  async listDaily(date, limit) {
+    return sorted(visible(this.daily[date] || [])).slice(0, limit);
+  }
+
+  async hasDailyEntry(date, username) {
+    const name = username.toLowerCase();
+    return (this.daily[date] || []).some((entry) => entry.username.toLowerCase() === name);
+  }
+
+  async addDailyEntry(date, entry, now = Date.now()) {
+    this.daily[date] = sorted([...(this.daily[date] || []), entry]).slice(0, MAX_ENTRIES);
+    this.pruneDaily(now);
+    await this.persist(this.files.daily, this.daily);
+    return rankOf(visible(this.daily[date]), entry.id);
+  }
+
+  async importDaily(daily, now = Date.now()) {
+    let count = 0;
+    for (const [date, entries] of Object.entries(daily)) {
+      const known = new Set((this.daily[date] || []).map((entry) => entry.id));
+      const fresh = entries.filter((entry) => !known.has(entry.id));
+      this.daily[date] = sorted([...(this.daily[date] || []), ...fresh]).slice(0, MAX_ENTRIES);
+      count += fresh.length;
+    }
+    this.pruneDaily(now);
+    await this.persist(this.files.daily, this.daily);
+    return count;
+  }
+
+  pruneDaily(now) {
+    const oldest = oldestDailyDate(now);
+    for (const date of Object.keys(this.daily)) {
+      if (date < oldest) delete this.daily[date];
+    }
+  }
+
+  // ---------- Moderation ----------
+
+  // Newest first, hidden included; `date` lists that daily board instead
+  async listAllEntries({ date = null, username = null, offset = 0, limit }) {
+    const name = username?.toLowerCase();
+    const all = (date ? this.daily[date] || [] : this.entries)
+      .filter((entry) => !name || entry.username.toLowerCase() === name)
+      .sort(byNewest);
+    return { total: all.length, entries: all.slice(offset, offset + limit) };
+  }
+
+  // { entries, file, date } for the board holding an entry id (null if none)
+  locate(id) {
+    if (this.entries.some((entry) => entry.id === id)) {
+      return { entries: this.entries, file: this.files.entries, date: null };
+    }
+    const date = Object.keys(this.daily).find((key) => this.daily[key].some((entry) => entry.id === id));
+    return date ? { entries: this.daily[date], file: this.files.daily, date } : null;
+  }
+
+  // Returns { entry, date } (date is null on the main board) or null
+  async setEntryHidden(id, hidden) {
+    const found = this.locate(id);
+    if (!found) return null;
+    const index = found.entries.findIndex((entry) => entry.id === id);
+    found.entries[index] = { ...found.entries[index], hidden };
+    await this.persist(found.file, found.file === this.files.daily ? this.daily : this.entries);
+    return { entry: found.entries[index], date: found.date };
+  }
+
+  async deleteEntry(id) {
+    const found = this.locate(id);
+    if (!found) return null;
+    const [entry] = found.entries.splice(found.entries.findIndex((item) => item.id === id), 1);
+    await this.persist(found.file, found.file === this.files.daily ? this.daily : this.entries);
+    return { entry, date: found.date };
+  }
+
+  // Bulk delete by id across both boards; returns how many were removed
+  async deleteEntries(ids) {
+    const doomed = new Set(ids);
+    const keep = (entries) => entries.filter((entry) => !doomed.has(entry.id));
+    const before = this.entries.length;
+    this.entries = keep(this.entries);
+    let count = before - this.entries.length;
+    for (const date of Object.keys(this.daily)) {
+      const kept = keep(this.daily[date]);
+      count += this.daily[date].length - kept.length;
+      this.daily[date] = kept;
+    }
+    if (count > 0) {
+      await this.persist(this.files.entries, this.entries);
+      await this.persist(this.files.daily, this.daily);
+    }
+    return count;
+  }
+
+  // Hide every entry (main and daily) under a name; returns how many changed
+  async hideUserEntries(username) {
+    const name = username.toLowerCase();
+    let count = 0;
+    const hide = (entries) => entries.map((entry) => {
+      if (entry.hidden || entry.username.toLowerCase() !== name) return entry;
+      count++;
+      return { ...entry, hidden: true };
+    });
+    this.entries = hide(this.entries);
+    for (const date of Object.keys(this.daily)) this.daily[date] = hide(this.daily[date]);
+    if (count > 0) {
+      await this.persist(this.files.entries, this.entries);
+      await this.persist(this.files.daily, this.daily);
+    }
+    return count;
+  }
+
+  async listBans() {
+    return this.bans.slice().sort(byNewest);
+  }
+
+  async findBan(type, value) {
+    return this.bans.find((ban) => ban.type === type && ban.value === value) || null;
+  }
+
+  async addBan(ban) {
+    this.bans = [...this.bans.filter((item) => item.type !== ban.type || item.value !== ban.value), ban];
+    await this.persist(this.files.bans, this.bans);
+  }
+
+  async removeBan(type, value) {
+    const before = this.bans.length;
+    this.bans = this.bans.filter((ban) => ban.type !== type || ban.value !== value);
+    if (this.bans.length === before) return false;
+    await this.persist(this.files.bans, this.bans);
+    return true;
+  }
+
+  async addAudit(record) {
+    this.audit.push(record);
+    await this.appendLine(this.files.audit, record);
+  }
+
+  // Newest first
+  async listAudit(limit) {
+    return this.audit.slice(-limit).reverse();
+  }
+
+  // ---------- Claimed names ----------
+
+  async getUser(username) {
+    return this.users[username.toLowerCase()] || null;
+  }
+
+  async saveUser(user) {
+    this.users[user.username.toLowerCase()] = user;
+    await this.persist(this.files.users, this.users);
+  }
+
+  // Insert only if the name is free; false if it's already claimed. The
+  // check and the insert happen before any await, so they can't interleave.
+  async claimUser(user) {
+    const key = user.username.toLowerCase();
+    if (this.users[key]) return false;
+    this.users[key] = user;
+    await this.persist(this.files.users, this.users);
+    return true;
+  }
+
+  async deleteUser(username) {
+    delete this.users[username.toLowerCase()];
+    await this.persist(this.files.users, this.users);
+  }
+}
@@ -0,0 +1,81 @@
+// Ordering, time windows and retention rules shared by the storage adapters
+// and the server. Entries sort by score (desc), then moves (asc), then
+// createdAt (asc): an older entry wins a full tie. Each difficulty preset
+// is a separate board: entries only rank against the same difficulty.
+import { DEFAULT_DIFFICULTY } from "../../js/difficulty.js";
+
+export const DAY_MS = 86_400_000;
+export const MAX_ENTRIES = 5000;
+export const DAILY_RETENTION_DAYS = 60;
+// Leaderboard windows (UTC calendar day, Monday-based week, month, all time).
+// Retention keeps each window's top entries instead of one global cap.
+export const PERIODS = ["day", "week", "month", "all"];
+export const PERIOD_RETENTION = { day: 1000, week: 1000, month: 1000, all: MAX_ENTRIES };
+
+export function utcDateKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// Start (ms) of the window containing `now`; 0 for all time
+export function periodStart(period, now = Date.now()) {
+  const date = new Date(now);
+  const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  if (period === "day") return dayStart;
+  if (period === "week") return dayStart - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+  if (period === "month") return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  return 0;
+}
+
+// Oldest daily board date still kept
+export function oldestDailyDate(now = Date.now()) {
+  return utcDateKey(now - DAILY_RETENTION_DAYS * DAY_MS);
+}
+
+// Entries stored before difficulty presets were played on Normal
+export function difficultyOf(entry) {
+  return entry.difficulty || DEFAULT_DIFFICULTY;
+}
+
+export function compareEntries(a, b) {
+  if (b.score !== a.score) return b.score - a.score;
+  if (a.moves !== b.moves) return a.moves - b.moves;
+  return a.createdAt - b.createdAt;
+}
+
+export function sorted(entries) {
+  return entries.sort(compareEntries);
+}
+
+// 1-based position of an entry in a sorted list (null if it was cut off)
+export function rankOf(entries, id) {
+  const index = entries.findIndex((entry) => entry.id === id);
+  return index === -1 ? null : index + 1;
+}
+
+// Whether an existing entry ranks ahead of a new score. Existing entries win
+// ties (they're older), so a new score lands after every equal score that
+// took no more moves; without `moves`, after every equal score.
+export function isAheadOfScore(entry, score, moves = Infinity) {
+  return entry.score > score || (entry.score === score && entry.moves <= moves);
+}
+
+// Keep an entry while it ranks in the retained top of any window it falls
+// in, on its difficulty's board
+export function pruneEntries(entries, now = Date.now()) {
+  const keep = new Set();
+  const boards = new Map();
+  entries.forEach((entry) => {
+    const difficulty = difficultyOf(entry);
+    if (!boards.has(difficulty)) boards.set(difficulty, []);
+    boards.get(difficulty).push(entry);
+  });
+  for (const board of boards.values()) {
+    for (const period of PERIODS) {
+      const start = periodStart(period, now);
+      sorted(board.filter((entry) => entry.createdAt >= start))
+        .slice(0, PERIOD_RETENTION[period])
+        .forEach((entry) => keep.add(entry.id));
+    }
+  }
+  return sorted(entries.filter((entry) => keep.has(entry.id)));
+}
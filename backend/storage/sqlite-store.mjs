@@ -0,0 +1,477 @@
+// SQLite storage through Node's built-in node:sqlite (Node 22.5+), so there's
+// nothing to install. Queries are indexed by rank order and createdAt, and
+// WAL mode lets several server processes share one database file.
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { DEFAULT_DIFFICULTY } from "../../js/difficulty.js";
+import { PERIODS, PERIOD_RETENTION, MAX_ENTRIES, difficultyOf, oldestDailyDate, periodStart } from "./ranking.mjs";
+
+const RANK_ORDER = "score DESC, moves ASC, created_at ASC";
+// Visible rows that sort ahead of the target row `t`
+const AHEAD_OF_TARGET = `e.hidden = 0 AND (e.score > t.score OR (e.score = t.score AND (e.moves < t.moves
+  OR (e.moves = t.moves AND e.created_at < t.created_at))))`;
+const ENTRY_COLUMNS = `id, username, username_key, score, moves, max_tile, undos, hints,
+  difficulty, rules, replay, ip, hidden, created_at`;
+// Columns added after the first release, as [name, definition]
+const ADDED_ENTRY_COLUMNS = [
+  ["ip", "TEXT"],
+  ["hidden", "INTEGER NOT NULL DEFAULT 0"],
+  ["difficulty", `TEXT NOT NULL DEFAULT '${DEFAULT_DIFFICULTY}'`]
+];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS entries (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL,
+    username_key TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    moves INTEGER NOT NULL,
+    max_tile INTEGER,
+    undos INTEGER NOT NULL DEFAULT 0,
+    hints INTEGER NOT NULL DEFAULT 0,
+    difficulty TEXT NOT NULL DEFAULT '${DEFAULT_DIFFICULTY}',
+    rules TEXT,
+    replay TEXT,
+    ip TEXT,
+    hidden INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS entries_rank ON entries (score DESC, moves ASC, created_at ASC);
+  CREATE INDEX IF NOT EXISTS entries_created ON entries (created_at);
+  CREATE INDEX IF NOT EXISTS entries_user ON entries (username_key);
+
+  CREATE TABLE IF NOT EXISTS daily_entries (
+    id TEXT PRIMARY KEY,
+    date TEXT NOT NULL,
+    username TEXT NOT NULL,
+    username_key TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    moves INTEGER NOT NULL,
+    max_tile INTEGER,
+    undos INTEGER NOT NULL DEFAULT 0,
+    hints INTEGER NOT NULL DEFAULT 0,
+    difficulty TEXT NOT NULL DEFAULT '${DEFAULT_DIFFICULTY}',
+    rules TEXT,
+    replay TEXT,
+    ip TEXT,
+    hidden INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS daily_rank ON daily_entries (date, score DESC, moves ASC, created_at ASC);
+  CREATE UNIQUE INDEX IF NOT EXISTS daily_user ON daily_entries (date, username_key);
+
+  CREATE TABLE IF NOT EXISTS users (
+    username_key TEXT PRIMARY KEY,
+    username TEXT NOT NULL,
+    token_hash TEXT NOT NULL,
+    recovery_hash TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    rotated_at INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS bans (
+    type TEXT NOT NULL,
+    value TEXT NOT NULL,
+    reason TEXT,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (type, value)
+  );
+
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    target TEXT,
+    details TEXT,
+    ip TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS health_check (
+    id INTEGER PRIMARY KEY,
+    at INTEGER NOT NULL
+  );
+`;
+
+function toRow(entry) {
+  return {
+    id: entry.id,
+    username: entry.username,
+    username_key: entry.username.toLowerCase(),
+    score: entry.score,
+    moves: entry.moves,
+    max_tile: entry.maxTile ?? null,
+    undos: entry.undos || 0,
+    hints: entry.hints || 0,
+    difficulty: difficultyOf(entry),
+    rules: entry.rules ? JSON.stringify(entry.rules) : null,
+    replay: entry.replay ? JSON.stringify(entry.replay) : null,
+    ip: entry.ip ?? null,
+    hidden: entry.hidden ? 1 : 0,
+    created_at: entry.createdAt
+  };
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    score: row.score,
+    moves: row.moves,
+    maxTile: row.max_tile,
+    undos: row.undos,
+    hints: row.hints,
+    difficulty: row.difficulty,
+    rules: row.rules ? JSON.parse(row.rules) : null,
+    replay: row.replay ? JSON.parse(row.replay) : null,
+    ip: row.ip,
+    hidden: Boolean(row.hidden),
+    createdAt: row.created_at
+  };
+}
+
+function userParams(user) {
+  return {
+    key: user.username.toLowerCase(),
+    username: user.username,
+    tokenHash: user.tokenHash,
+    recoveryHash: user.recoveryHash,
+    createdAt: user.createdAt,
+    rotatedAt: user.rotatedAt ?? null
+  };
+}
+
+export class SqliteStore {
+  constructor({ file }) {
+    this.file = file;
+    this.db = null;
+  }
+
+  async init() {
+    let sqlite;
+    try {
+      sqlite = await import("node:sqlite");
+    } catch {
+      throw new Error(`SQLite storage needs Node 22.5+ (node:sqlite); this is Node ${process.versions.node}.`);
+    }
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    this.db = new sqlite.DatabaseSync(this.file);
+    this.db.exec("PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;");
+    this.db.exec(SCHEMA);
+    this.upgradeSchema();
+  }
+
+  // Databases created by older versions lack the newer entry columns (and
+  // the index on one of them)
+  upgradeSchema() {
+    for (const table of ["entries", "daily_entries"]) {
+      const columns = this.db.prepare(`PRAGMA table_info(${table})`).all().map((column) => column.name);
+      ADDED_ENTRY_COLUMNS
+        .filter(([name]) => !columns.includes(name))
+        .forEach(([name, definition]) => this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`));
+    }
+    this.db.exec(`CREATE INDEX IF NOT EXISTS entries_difficulty_rank
+      ON entries (difficulty, score DESC, moves ASC, created_at ASC)`);
+  }
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+  }
+
+  // Readiness: a write and a read of the same row both go through
+  async healthCheck() {
+    const at = Date.now();
+    this.db
+      .prepare("INSERT INTO health_check (id, at) VALUES (1, ?) ON CONFLICT (id) DO UPDATE SET at = excluded.at")
+      .run(at);
+    if (this.db.prepare("SELECT at FROM health_check WHERE id = 1").get()?.at !== at) {
+      throw new Error("Storage probe read back different data.");
+    }
+  }
+
+  // Run fn inside a write transaction
+  transaction(fn) {
+    this.db.exec("BEGIN IMMEDIATE");
+    try {
+      const result = fn();
+      this.db.exec("COMMIT");
+      return result;
+    } catch (err) {
+      this.db.exec("ROLLBACK");
+      throw err;
+    }
+  }
+
+  insert(table, row) {
+    const columns = Object.keys(row);
+    this.db
+      .prepare(`INSERT OR IGNORE INTO ${table} (${columns.join(", ")}) VALUES (${columns.map((c) => `:${c}`).join(", ")})`)
+      .run(row);
+  }
+
+  // ---------- Leaderboard ----------
+  // Public reads skip hidden rows; admin reads (listAllEntries) don't.
+
+  async listEntries({ since = 0, difficulty = DEFAULT_DIFFICULTY, offset = 0, limit }) {
+    const { total } = this.db
+      .prepare("SELECT COUNT(*) AS total FROM entries WHERE hidden = 0 AND difficulty = ? AND created_at >= ?")
+      .get(difficulty, since);
+    const rows = this.db
+      .prepare(`SELECT ${ENTRY_COLUMNS} FROM entries WHERE hidden = 0 AND difficulty = ? AND created_at >= ?
+        ORDER BY ${RANK_ORDER} LIMIT ? OFFSET ?`)
+      .all(difficulty, since, limit, offset);
+    return { total, entries: rows.map(fromRow) };
+  }
+
+  async rankForScore({ since = 0, difficulty = DEFAULT_DIFFICULTY, score, moves = Infinity }) {
+    const tieMoves = Number.isFinite(moves) ? moves : Number.MAX_SAFE_INTEGER;
+    const { ahead, total } = this.db
+      .prepare(`SELECT COUNT(*) AS total,
+          COALESCE(SUM(score > :score OR (score = :score AND moves <= :moves)), 0) AS ahead
+        FROM entries WHERE hidden = 0 AND difficulty = :difficulty AND created_at >= :since`)
+      .get({ since, difficulty, score, moves: tieMoves });
+    return { rank: ahead + 1, total };
+  }
+
+  // Rank of an entry within a window of its difficulty's board (null if
+  // missing or outside it)
+  rankWithin(id, since) {
+    const row = this.db
+      .prepare(`SELECT t.created_at >= :since AND t.hidden = 0 AS inside, (SELECT COUNT(*) FROM entries e
+          WHERE e.created_at >= :since AND e.difficulty = t.difficulty AND ${AHEAD_OF_TARGET}) AS ahead
+        FROM entries t WHERE t.id = :id`)
+      .get({ id, since });
+    return row && row.inside ? row.ahead + 1 : null;
+  }
+
+  // An entry and up to n neighbours each side (null if not in the window
+  // or on another difficulty's board)
+  async findAround({ since = 0, difficulty = DEFAULT_DIFFICULTY, id, n }) {
+    const onBoard = this.db.prepare("SELECT 1 FROM entries WHERE id = ? AND difficulty = ?").get(id, difficulty);
+    const rank = onBoard ? this.rankWithin(id, since) : null;
+    if (rank === null) return null;
+    const start = Math.max(0, rank - 1 - n);
+    const { total, entries } = await this.listEntries({ since, difficulty, offset: start, limit: rank + n - start });
+    return { rank, total, firstRank: start + 1, entries };
+  }
+
+  async rankOfEntry(id) {
+    return this.rankWithin(id, 0);
+  }
+
+  async getUserEntries(username) {
+    return this.db
+      .prepare(`SELECT ${ENTRY_COLUMNS} FROM entries WHERE hidden = 0 AND username_key = ?`)
+      .all(username.toLowerCase())
+      .map(fromRow);
+  }
+
+  // Drop entries that are outside every window's retained top on their
+  // difficulty's board
+  pruneEntries(now) {
+    const windows = PERIODS.map(() => `SELECT id FROM (SELECT id, ROW_NUMBER() OVER (PARTITION BY difficulty
+      ORDER BY ${RANK_ORDER}) AS position FROM entries WHERE created_at >= ?) WHERE position <= ?`);
+    const params = PERIODS.flatMap((period) => [periodStart(period, now), PERIOD_RETENTION[period]]);
+    this.db.prepare(`DELETE FROM entries WHERE id NOT IN (${windows.join(" UNION ")})`).run(...params);
+  }
+
+  async addEntry(entry, now = Date.now()) {
+    this.transaction(() => {
+      this.insert("entries", toRow(entry));
+      this.pruneEntries(now);
+    });
+    return this.rankWithin(entry.id, 0);
+  }
+
+  async importEntries(entries, now = Date.now()) {
+    return this.transaction(() => {
+      const before = this.db.prepare("SELECT COUNT(*) AS count FROM entries").get().count;
+      entries.forEach((entry) => this.insert("entries", toRow(entry)));
+      const inserted = this.db.prepare("SELECT COUNT(*) AS count FROM entries").get().count - before;
+      this.pruneEntries(now);
+      return inserted;
+    });
+  }
+
+  // ---------- Daily boards ----------
+
+  async listDaily(date, limit) {
+    return this.db
+      .prepare(`SELECT ${ENTRY_COLUMNS} FROM daily_entries WHERE date = ? AND hidden = 0
+        ORDER BY ${RANK_ORDER} LIMIT ?`)
+      .all(date, limit)
+      .map(fromRow);
+  }
+
+  async hasDailyEntry(date, username) {
+    return Boolean(this.db
+      .prepare("SELECT 1 FROM daily_entries WHERE date = ? AND username_key = ?")
+      .get(date, username.toLowerCase()));
+  }
+
+  pruneDaily(date, now) {
+    this.db.prepare("DELETE FROM daily_entries WHERE date < ?").run(oldestDailyDate(now));
+    this.db
+      .prepare(`DELETE FROM daily_entries WHERE date = :date AND id NOT IN
+        (SELECT id FROM daily_entries WHERE date = :date ORDER BY ${RANK_ORDER} LIMIT :limit)`)
+      .run({ date, limit: MAX_ENTRIES });
+  }
+
+  async addDailyEntry(date, entry, now = Date.now()) {
+    this.transaction(() => {
+      this.insert("daily_entries", { ...toRow(entry), date });
+      this.pruneDaily(date, now);
+    });
+    const row = this.db
+      .prepare(`SELECT (SELECT COUNT(*) FROM daily_entries e WHERE e.date = t.date AND ${AHEAD_OF_TARGET}) AS ahead
+        FROM daily_entries t WHERE t.id = ? AND t.hidden = 0`)
+      .get(entry.id);
+    return row ? row.ahead + 1 : null;
+  }
+
+  async importDaily(daily, now = Date.now()) {
+    return this.transaction(() => {
+      let count = 0;
+      for (const [date, entries] of Object.entries(daily)) {
+        const before = this.db.prepare("SELECT COUNT(*) AS count FROM daily_entries WHERE date = ?").get(date).count;
+        entries.forEach((entry) => this.insert("daily_entries", { ...toRow(entry), date }));
+        count += this.db.prepare("SELECT COUNT(*) AS count FROM daily_entries WHERE date = ?").get(date).count - before;
+        this.pruneDaily(date, now);
+      }
+      return count;
+    });
+  }
+
+  // ---------- Moderation ----------
+
+  // Newest first, hidden included; `date` lists that daily board instead
+  async listAllEntries({ date = null, username = null, offset = 0, limit }) {
+    const table = date ? "daily_entries" : "entries";
+    const where = ["1 = 1"];
+    const params = {};
+    if (date) {
+      where.push("date = :date");
+      params.date = date;
+    }
+    if (username) {
+      where.push("username_key = :name");
+      params.name = username.toLowerCase();
+    }
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM ${table} WHERE ${where.join(" AND ")}`).get(params);
+    const rows = this.db
+      .prepare(`SELECT ${ENTRY_COLUMNS} FROM ${table} WHERE ${where.join(" AND ")}
+        ORDER BY created_at DESC LIMIT :limit OFFSET :offset`)
+      .all({ ...params, limit, offset });
+    return { total, entries: rows.map(fromRow) };
+  }
+
+  // { entry, date } for an entry id on either board (date null on the main one)
+  findEntry(id) {
+    const row = this.db.prepare(`SELECT ${ENTRY_COLUMNS} FROM entries WHERE id = ?`).get(id);
+    if (row) return { entry: fromRow(row), date: null, table: "entries" };
+    const daily = this.db.prepare(`SELECT ${ENTRY_COLUMNS}, date FROM daily_entries WHERE id = ?`).get(id);
+    return daily ? { entry: fromRow(daily), date: daily.date, table: "daily_entries" } : null;
+  }
+
+  async setEntryHidden(id, hidden) {
+    const found = this.findEntry(id);
+    if (!found) return null;
+    this.db.prepare(`UPDATE ${found.table} SET hidden = ? WHERE id = ?`).run(hidden ? 1 : 0, id);
+    return { entry: { ...found.entry, hidden }, date: found.date };
+  }
+
+  async deleteEntry(id) {
+    const found = this.findEntry(id);
+    if (!found) return null;
+    this.db.prepare(`DELETE FROM ${found.table} WHERE id = ?`).run(id);
+    return { entry: found.entry, date: found.date };
+  }
+
+  async deleteEntries(ids) {
+    return this.transaction(() => ids.reduce((count, id) => count + ["entries", "daily_entries"].reduce(
+      (sum, table) => sum + Number(this.db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(id).changes), 0), 0));
+  }
+
+  async hideUserEntries(username) {
+    const key = username.toLowerCase();
+    return this.transaction(() => ["entries", "daily_entries"].reduce((count, table) => count + Number(this.db
+      .prepare(`UPDATE ${table} SET hidden = 1 WHERE username_key = ? AND hidden = 0`)
+      .run(key).changes), 0));
+  }
+
+  async listBans() {
+    return this.db
+      .prepare("SELECT type, value, reason, created_at AS createdAt FROM bans ORDER BY created_at DESC")
+      .all()
+      .map((row) => ({ ...row }));
+  }
+
+  async findBan(type, value) {
+    const row = this.db
+      .prepare("SELECT type, value, reason, created_at AS createdAt FROM bans WHERE type = ? AND value = ?")
+      .get(type, value);
+    return row ? { ...row } : null;
+  }
+
+  async addBan(ban) {
+    this.db
+      .prepare(`INSERT INTO bans (type, value, reason, created_at) VALUES (:type, :value, :reason, :createdAt)
+        ON CONFLICT (type, value) DO UPDATE SET reason = :reason, created_at = :createdAt`)
+      .run({ type: ban.type, value: ban.value, reason: ban.reason ?? null, createdAt: ban.createdAt });
+  }
+
+  async removeBan(type, value) {
+    return Number(this.db.prepare("DELETE FROM bans WHERE type = ? AND value = ?").run(type, value).changes) > 0;
+  }
+
+  async addAudit(record) {
+    this.db
+      .prepare("INSERT INTO audit_log (at, action, target, details, ip) VALUES (?, ?, ?, ?, ?)")
+      .run(record.at, record.action, record.target ?? null,
+        record.details ? JSON.stringify(record.details) : null, record.ip ?? null);
+  }
+
+  async listAudit(limit) {
+    return this.db
+      .prepare("SELECT at, action, target, details, ip FROM audit_log ORDER BY id DESC LIMIT ?")
+      .all(limit)
+      .map((row) => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+  }
+
+  // ---------- Claimed names ----------
+
+  async getUser(username) {
+    const row = this.db.prepare("SELECT * FROM users WHERE username_key = ?").get(username.toLowerCase());
+    if (!row) return null;
+    return {
+      username: row.username,
+      tokenHash: row.token_hash,
+      recoveryHash: row.recovery_hash,
+      createdAt: row.created_at,
+      rotatedAt: row.rotated_at
+    };
+  }
+
+  async saveUser(user) {
+    this.db
+      .prepare(`INSERT INTO users (username_key, username, token_hash, recovery_hash, created_at, rotated_at)
+        VALUES (:key, :username, :tokenHash, :recoveryHash, :createdAt, :rotatedAt)
+        ON CONFLICT (username_key) DO UPDATE SET username = :username, token_hash = :tokenHash,
+          recovery_hash = :recoveryHash, rotated_at = :rotatedAt`)
+      .run(userParams(user));
+  }
+
+  // Insert only if the name is free; false if it's already claimed
+  async claimUser(user) {
+    const { changes } = this.db
+      .prepare(`INSERT INTO users (username_key, username, token_hash, recovery_hash, created_at, rotated_at)
+        VALUES (:key, :username, :tokenHash, :recoveryHash, :createdAt, :rotatedAt)
+        ON CONFLICT (username_key) DO NOTHING`)
+      .run(userParams(user));
+    return changes === 1;
+  }
+
+  async deleteUser(username) {
+    this.db.prepare("DELETE FROM users WHERE username_key = ?").run(username.toLowerCase());
+  }
+}
@@ -0,0 +1,97 @@
+// Score and username validation shared by the server and the leaderboard
+// CLI, so an imported backup row passes exactly the checks a live
+// submission does (replay verification aside).
+import { readFile } from "node:fs/promises";
+
+// Prestige tiers keep counting past the lineup, so scores and tiles have no
+// fixed ceiling; replay verification checks the real values. These bounds
+// only keep them exact: a merge into tier t scores 2^t, so past tier 53 the
+// score can't be an exact integer.
+const MAX_SCORE = Number.MAX_SAFE_INTEGER;
+const MAX_TILE = 53;
+
+// Digits people swap in for letters, undone before matching blocked terms
+const LOOKALIKES = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b" };
+
+export function toInt(value) {
+  if (typeof value === "number") return Math.floor(value);
+  if (typeof value === "string" && value.trim() !== "") {
+    const parsed = Number(value);
+    if (Number.isFinite(parsed)) return Math.floor(parsed);
+  }
+  return NaN;
+}
+
+export function sanitizeUsername(input) {
+  if (typeof input !== "string") return null;
+  const cleaned = input.trim().replace(/\s+/g, " ");
+  if (cleaned.length < 3 || cleaned.length > 16) return null;
+  if (!/^[A-Za-z0-9 _.-]+$/.test(cleaned)) return null;
+  return cleaned;
+}
+
+// ==================== Name filter ====================
+// Names are checked against the blocklist at submission time. Terms match
+// anywhere in the name, ignoring case, separators and lookalike digits, so
+// "B.a.d_W0rd" matches "badword".
+function normalizeForFilter(text) {
+  return text
+    .toLowerCase()
+    .replace(/[0-9]/g, (digit) => LOOKALIKES[digit] ?? digit)
+    .replace(/[^a-z]/g, "");
+}
+
+// Normalized terms from a blocklist file (none when `file` is empty)
+export async function loadBlocklist(file) {
+  if (!file) return [];
+  const raw = await readFile(file, "utf8");
+  return raw
+    .split("\n")
+    .map((line) => normalizeForFilter(line.replace(/#.*/, "")))
+    .filter(Boolean);
+}
+
+export function isBlockedName(username, blockedTerms) {
+  const name = normalizeForFilter(username);
+  return blockedTerms.some((term) => name.includes(term));
+}
+
+// { ok, value } with the normalized fields, or { ok: false, error }
+export function validateScorePayload(payload, { blockedTerms = [] } = {}) {
+  const username = sanitizeUsername(payload?.username);
+  const score = toInt(payload?.score);
+  const moves = toInt(payload?.moves);
+  const maxTile = payload?.maxTile === undefined ? null : toInt(payload.maxTile);
+  const undos = payload?.undos === undefined ? 0 : toInt(payload.undos);
+  const hints = payload?.hints === undefined ? 0 : toInt(payload.hints);
+
+  if (!username) return { ok: false, error: "Invalid username (3-16 chars)." };
+  if (isBlockedName(username, blockedTerms)) return { ok: false, error: "This name isn't allowed. Please pick another." };
+  if (!Number.isInteger(score) || score < 0 || score > MAX_SCORE) {
+    return { ok: false, error: "Invalid score." };
+  }
+  if (!Number.isInteger(moves) || moves < 0 || moves > 100_000) {
+    return { ok: false, error: "Invalid move count." };
+  }
+  if (maxTile !== null && (!Number.isInteger(maxTile) || maxTile < 0 || maxTile > MAX_TILE)) {
+    return { ok: false, error: "Invalid maxTile." };
+  }
+  if (!Number.isInteger(undos) || undos < 0 || undos > 100_000) {
+    return { ok: false, error: "Invalid undo count." };
+  }
+  if (!Number.isInteger(hints) || hints < 0 || hints > 100_000) {
+    return { ok: false, error: "Invalid hint count." };
+  }
+
+  return {
+    ok: true,
+    value: {
+      username,
+      score,
+      moves,
+      maxTile,
+      undos,
+      hints
+    }
+  };
+}
@@ -0,0 +1,82 @@
+// ==================== Account ====================
+// "Your name" section of the leaderboard card: shows whether this device
+// holds the claimed name's token, rotates it, and moves a name here with a
+// recovery code.
+import { ApiError, sanitizeUsername } from './api.js';
+import { getIdentity } from './identity.js';
+
+const USERNAME_KEY = 'zeviaUsername';
+
+export class AccountPanel {
+    constructor(ui) {
+        this.ui = ui;
+        this.info = document.getElementById('account-info');
+        this.recovery = document.getElementById('account-recovery');
+        this.recoveryCode = document.getElementById('account-recovery-code');
+        this.rotateBtn = document.getElementById('account-rotate-btn');
+        this.form = document.getElementById('account-recover-form');
+        this.nameInput = document.getElementById('account-name-input');
+        this.codeInput = document.getElementById('account-code-input');
+        this.statusDisplay = document.getElementById('account-status');
+
+        this.rotateBtn.addEventListener('click', () => this.rotate());
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.recover();
+        });
+        this.update();
+    }
+
+    update() {
+        const username = this.ui.leaderboard.getUsername();
+        const identity = username ? getIdentity(username) : null;
+
+        if (identity?.token) {
+            this.info.textContent = `Playing as ${username}. This device holds the name's token.`;
+        } else if (username) {
+            this.info.textContent = `Playing as ${username}. Your next score claims the name if it's free.`;
+        } else {
+            this.info.textContent = 'Submit a score to claim a name.';
+        }
+        // A new recovery code is shown until the page closes, then it's gone
+        const issued = this.ui.leaderboard.client.recoveryCode;
+        const code = username && issued?.username.toLowerCase() === username.toLowerCase() ? issued.code : '';
+        this.recovery.classList.toggle('hidden', !code);
+        this.recoveryCode.textContent = code;
+        this.rotateBtn.classList.toggle('hidden', !identity?.token);
+    }
+
+    // New token for this device; copies elsewhere stop working
+    async rotate() {
+        const username = this.ui.leaderboard.getUsername();
+        this.statusDisplay.textContent = '';
+        try {
+            await this.ui.leaderboard.client.rotateToken(username);
+            this.statusDisplay.textContent = 'Token rotated. Other devices need the recovery code now.';
+        } catch (err) {
+            this.statusDisplay.textContent = err instanceof ApiError ? err.message : 'Leaderboard is offline.';
+        }
+        this.update();
+    }
+
+    async recover() {
+        const username = sanitizeUsername(this.nameInput.value);
+        const code = this.codeInput.value.trim();
+        if (!username || !code) {
+            this.statusDisplay.textContent = 'Enter the name and its recovery code.';
+            return;
+        }
+
+        try {
+            const result = await this.ui.leaderboard.client.recover(username, code);
+            localStorage.setItem(USERNAME_KEY, result.username);
+            this.nameInput.value = '';
+            this.codeInput.value = '';
+            this.statusDisplay.textContent = `${result.username} is now on this device. Your old recovery code no longer works; the new one is above.`;
+        } catch (err) {
+            this.statusDisplay.textContent = err instanceof ApiError ? err.message : 'Leaderboard is offline.';
+        }
+        this.update();
+        this.ui.leaderboard.refresh();
+    }
+}
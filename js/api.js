@@ -0,0 +1,54 @@
+// ==================== Backend API ====================
+// Thin fetch wrapper for the leaderboard backend. The base URL comes from
+// <meta name="zevia-api-base">, falling back to the local dev server.
+const DEFAULT_API_BASE = 'http://localhost:8787';
+
+export class ApiError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+export function getApiBase() {
+    const meta = document.querySelector('meta[name="zevia-api-base"]');
+    const base = meta?.content?.trim() || DEFAULT_API_BASE;
+    return base.replace(/\/+$/, '');
+}
+
+// JSON request against the API, optionally with a claimed name's token.
+// Rejects with ApiError for error responses and with the underlying
+// TypeError when the server can't be reached.
+export async function apiRequest(path, { method = 'GET', body, token } = {}) {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`${getApiBase()}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    let data = null;
+    try {
+        data = await response.json();
+    } catch {
+        data = null;
+    }
+
+    if (!response.ok) {
+        throw new ApiError(data?.error || `Request failed (${response.status})`, response.status);
+    }
+    return data;
+}
+
+// Same rules as the backend's sanitizeUsername(); null if invalid
+export function sanitizeUsername(input) {
+    if (typeof input !== 'string') return null;
+    const cleaned = input.trim().replace(/\s+/g, ' ');
+    if (cleaned.length < 3 || cleaned.length > 16) return null;
+    if (!/^[A-Za-z0-9 _.-]+$/.test(cleaned)) return null;
+    return cleaned;
+}
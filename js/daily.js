@@ -0,0 +1,84 @@
+// ==================== Daily Challenge ====================
+// "Daily Zevia": one shared board per UTC date, one attempt, no undo or
+// solver help. The daily game gets its own save slot so the classic game
+// is untouched while it's played.
+import { Game } from './game.js';
+import { renderEntries } from './leaderboard-panel.js';
+
+const BOARD_LIMIT = 10;
+
+export class DailyChallenge {
+    constructor(ui) {
+        this.ui = ui;
+        this.classicBtn = document.getElementById('mode-classic-btn');
+        this.dailyBtn = document.getElementById('mode-daily-btn');
+        this.banner = document.getElementById('daily-banner');
+        this.dateDisplay = document.getElementById('daily-date');
+        this.section = document.getElementById('daily-section');
+        this.boardList = document.getElementById('daily-board');
+        this.exitBtn = document.getElementById('daily-exit-btn');
+
+        this.classicGame = null;
+
+        this.classicBtn.addEventListener('click', () => this.exit());
+        this.dailyBtn.addEventListener('click', () => this.start());
+        this.exitBtn.addEventListener('click', () => this.exit());
+    }
+
+    get active() {
+        return this.ui.game.mode === 'daily';
+    }
+
+    // Switch to today's challenge, resuming (or re-showing) today's attempt
+    start() {
+        if (this.active) return;
+        const date = Game.utcDateKey();
+        let game = null;
+
+        const saved = this.ui.readSave('zeviaSavedDaily');
+        if (saved && saved.dailyDate === date) {
+            game = new Game();
+            if (!game.restore(saved)) game = null;
+        }
+        if (!game) game = new Game({ mode: 'daily', dailyDate: date });
+
+        this.classicGame = this.ui.game;
+        this.ui.setGame(game);
+        this.ui.saveGame();
+        this.updateMode();
+        this.ui.checkGameEnd();
+    }
+
+    exit() {
+        if (!this.active || !this.classicGame) return;
+        this.ui.setGame(this.classicGame);
+        this.classicGame = null;
+        this.updateMode();
+    }
+
+    updateMode() {
+        const daily = this.active;
+        this.classicBtn.classList.toggle('active', !daily);
+        this.dailyBtn.classList.toggle('active', daily);
+        this.banner.classList.toggle('hidden', !daily);
+        this.dateDisplay.textContent = daily ? this.ui.game.dailyDate : '';
+        this.ui.updateStats();
+    }
+
+    // Called when the game-end modal opens: show today's board once it's over
+    onGameEnd() {
+        const showSection = this.active && this.ui.game.gameOver;
+        this.section.classList.toggle('hidden', !showSection);
+        if (showSection) this.loadBoard();
+    }
+
+    async loadBoard() {
+        const leaderboard = this.ui.leaderboard;
+        try {
+            const entries = await leaderboard.client.fetchDaily(this.ui.game.dailyDate, BOARD_LIMIT);
+            renderEntries(this.boardList, entries, leaderboard.getUsername());
+        } catch {
+            this.boardList.innerHTML = '';
+        }
+    }
+}
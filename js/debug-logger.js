@@ -4,7 +4,7 @@
 
     const logs = [];
     let installed = false;
-    let origMove = null;
+    let unsubscribe = null;
 
     function snapshotDOMPositions() {
         const out = {};
@@ -22,17 +22,30 @@
             return;
         }
         if (installed) return;
-        origMove = game.move.bind(game);
 
-        game.move = function(direction){
-            const beforeBoard = game.boardBefore ? game.boardBefore.slice() : game.board.slice();
+        subscribe(ui.game);
+        window.addEventListener('zevia:gamechange', onGameChange);
+        installed = true;
+        console.info('debug-logger installed. Use startDebug()/stopDebug()/downloadLogs()');
+    }
+
+    // The UI swapped games (daily, replay viewer): log the new one instead
+    function onGameChange(event) {
+        if (unsubscribe) unsubscribe();
+        subscribe(event.detail.game);
+    }
+
+    function subscribe(game) {
+        // 'move' fires before the UI renders, so the DOM still shows the old board
+        unsubscribe = game.on('move', function(event){
+            const direction = event.direction;
+            const beforeBoard = event.boardBefore;
             const beforeDOM = snapshotDOMPositions();
-            const result = origMove(direction);
 
             // capture after state and DOM after animations settle
             const delay = 500; // ms - should be greater than slide+merge durations
             setTimeout(() => {
-                const afterBoard = game.board.slice();
+                const afterBoard = event.board;
                 const afterDOM = snapshotDOMPositions();
                 const entry = { time: Date.now(), direction, beforeBoard, afterBoard, beforeDOM, afterDOM };
                 logs.push(entry);
@@ -43,17 +56,14 @@
                 console.log('afterDOM', afterDOM);
                 console.groupEnd();
             }, delay);
-
-            return result;
-        };
-
-        installed = true;
-        console.info('debug-logger installed. Use startDebug()/stopDebug()/downloadLogs()');
+        });
     }
 
     function uninstall() {
         if (!installed) return;
-        if (origMove) game.move = origMove;
+        if (unsubscribe) unsubscribe();
+        unsubscribe = null;
+        window.removeEventListener('zevia:gamechange', onGameChange);
         installed = false;
         console.info('debug-logger uninstalled');
     }
@@ -0,0 +1,153 @@
+// ==================== Difficulty ====================
+// The rules a game is played by, on top of its flavor pack:
+//   { difficulty, spawn: { tiers: [common, rare], rareChance }, spawnCount, startTiles, winTier,
+//     blockers: null | { interval, clearTier }, wildcardChance }
+// spawnCount is how many cans drop after each move and startTiles how many
+// the board opens with. Easy/Normal/Hard presets are relative to the pack
+// (Normal is the pack's own spawn and win tier), so they stay playable on
+// any lineup. The leaderboard ranks each preset separately; rules that
+// match no preset are 'custom' and can't be submitted.
+// `blockers` turns on the Empty Cans variant: every `interval` moves a
+// crushed can lands on a free cell, and merging into `clearTier` or above
+// next to one clears it. wildcardChance is the share of spawns that are
+// Mystery Flavor cans (see tiles.js). Both variants are layered on any
+// difficulty without changing its name, but those games aren't ranked
+// either. DOM-free.
+
+export const DIFFICULTIES = ['easy', 'normal', 'hard'];
+export const DEFAULT_DIFFICULTY = 'normal';
+export const CUSTOM_DIFFICULTY = 'custom';
+const MAX_SPAWN_COUNT = 4;
+const MAX_BLOCKER_INTERVAL = 50;
+const MAX_WILDCARD_CHANCE = 0.25;
+// Spawn share of Mystery Flavor cans when the variant is switched on
+export const WILDCARD_CHANCE = 0.04;
+
+const LABELS = { easy: 'Easy', normal: 'Normal', hard: 'Hard', custom: 'Custom' };
+
+// Easy spawns more of the rare can, opens with an extra one and wins a
+// flavor early; Hard never spawns the rare can and wins a flavor late
+const PRESETS = {
+    easy: (pack) => ({
+        rareChance: Math.max(pack.spawn.rareChance, 0.25),
+        spawnCount: 1,
+        startTiles: 3,
+        winTier: shiftWinTier(pack, -1)
+    }),
+    normal: (pack) => ({ rareChance: pack.spawn.rareChance, spawnCount: 1, startTiles: 2, winTier: pack.winTier }),
+    hard: (pack) => ({ rareChance: 0, spawnCount: 1, startTiles: 2, winTier: shiftWinTier(pack, 1) })
+};
+
+// The pack's win tier moved by `offset`, kept inside the lineup and above
+// the spawn tiers (unless the pack's own already isn't)
+function shiftWinTier(pack, offset) {
+    const lowest = Math.min(pack.winTier, Math.max(...pack.spawn.tiers) + 1);
+    return Math.max(lowest, Math.min(pack.flavors.length - 1, pack.winTier + offset));
+}
+
+export function difficultyLabel(difficulty) {
+    return LABELS[difficulty] ?? LABELS[DEFAULT_DIFFICULTY];
+}
+
+// Full rules of a preset on a pack (presets have no empty cans or wildcards)
+export function presetRules(difficulty, pack) {
+    const { rareChance, spawnCount, startTiles, winTier } = PRESETS[difficulty](pack);
+    return {
+        difficulty,
+        spawn: { tiers: pack.spawn.tiers.slice(), rareChance },
+        spawnCount,
+        startTiles,
+        winTier,
+        blockers: null,
+        wildcardChance: 0
+    };
+}
+
+// Default Empty Cans settings for a pack: a can every 8 moves, cleared by
+// merges three tiers above the highest spawn
+export function blockerRules(pack) {
+    return {
+        interval: 8,
+        clearTier: Math.min(pack.flavors.length - 1, Math.max(...pack.spawn.tiers) + 3)
+    };
+}
+
+// Whether games played by these rules can go on the leaderboard
+export function isRanked(rules) {
+    return DIFFICULTIES.includes(rules.difficulty) && !rules.blockers && !rules.wildcardChance;
+}
+
+function sameRules(a, b) {
+    return a.spawn.tiers[0] === b.spawn.tiers[0]
+        && a.spawn.tiers[1] === b.spawn.tiers[1]
+        && a.spawn.rareChance === b.spawn.rareChance
+        && a.spawnCount === b.spawnCount
+        && a.startTiles === b.startTiles
+        && a.winTier === b.winTier;
+}
+
+// Check a (possibly partial) rules object against a pack and board size;
+// returns an error string or null. Missing fields come from the preset.
+export function validateRules(rules, pack, size) {
+    if (!rules || typeof rules !== 'object') return 'Rules are not an object';
+    const isTier = (value) => Number.isInteger(value) && value >= 0 && value < pack.flavors.length;
+    const { difficulty, spawn, spawnCount, startTiles, winTier, blockers, wildcardChance } = rules;
+    if (difficulty !== undefined && !DIFFICULTIES.includes(difficulty) && difficulty !== CUSTOM_DIFFICULTY) {
+        return `Unknown difficulty: ${difficulty}`;
+    }
+    if (spawn !== undefined) {
+        if (!Array.isArray(spawn?.tiers) || spawn.tiers.length !== 2 || !spawn.tiers.every(isTier)) {
+            return 'Invalid spawn tiers';
+        }
+        if (typeof spawn.rareChance !== 'number' || spawn.rareChance < 0 || spawn.rareChance > 1) {
+            return 'Invalid spawn chance';
+        }
+    }
+    if (spawnCount !== undefined && !(Number.isInteger(spawnCount) && spawnCount >= 1 && spawnCount <= MAX_SPAWN_COUNT)) {
+        return 'Invalid spawn count';
+    }
+    if (startTiles !== undefined && !(Number.isInteger(startTiles) && startTiles >= 1 && startTiles <= size)) {
+        return 'Invalid starting tile count';
+    }
+    if (winTier !== undefined && !(isTier(winTier) && winTier > 0)) return 'Invalid win tier';
+    // true, false or null, or explicit settings
+    if (blockers !== undefined && blockers !== null && typeof blockers !== 'boolean') {
+        const { interval, clearTier } = blockers;
+        if (!(Number.isInteger(interval) && interval >= 1 && interval <= MAX_BLOCKER_INTERVAL)) {
+            return 'Invalid empty can interval';
+        }
+        if (!(isTier(clearTier) && clearTier > 0)) return 'Invalid empty can clear tier';
+    }
+    if (wildcardChance !== undefined
+        && !(typeof wildcardChance === 'number' && wildcardChance >= 0 && wildcardChance <= MAX_WILDCARD_CHANCE)) {
+        return 'Invalid wildcard chance';
+    }
+    return null;
+}
+
+// The rules for a game: the preset named by `rules.difficulty` (Normal by
+// default) with any fields `rules` sets laid over it. Assumes
+// validateRules() passed. Rules that differ from the named preset keep the
+// name of the preset they do match, or become 'custom'. `blockers: true`
+// means the pack's default Empty Cans settings.
+export function resolveRules(rules = {}, pack) {
+    const named = DIFFICULTIES.includes(rules.difficulty) ? rules.difficulty : DEFAULT_DIFFICULTY;
+    const base = presetRules(named, pack);
+    const resolved = {
+        spawn: rules.spawn
+            ? { tiers: rules.spawn.tiers.slice(), rareChance: rules.spawn.rareChance }
+            : base.spawn,
+        spawnCount: rules.spawnCount ?? base.spawnCount,
+        startTiles: rules.startTiles ?? base.startTiles,
+        winTier: rules.winTier ?? base.winTier
+    };
+    const difficulty = [named, ...DIFFICULTIES]
+        .find((candidate) => sameRules(resolved, presetRules(candidate, pack))) ?? CUSTOM_DIFFICULTY;
+    const blockers = rules.blockers === true ? blockerRules(pack) : rules.blockers || null;
+    return {
+        difficulty,
+        ...resolved,
+        blockers: blockers && { interval: blockers.interval, clearTier: blockers.clearTier },
+        wildcardChance: rules.wildcardChance ?? base.wildcardChance
+    };
+}
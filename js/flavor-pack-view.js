@@ -0,0 +1,145 @@
+// ==================== Flavor Pack View ====================
+// Shows the current game's flavor pack: a generated stylesheet that paints
+// each tier's can (tiles carry data-tier), the legend, image preloading and
+// the Flavors picker next to the board size.
+import { DEFAULT_PACK_ID, getPack, listPacks } from './flavor-packs.js';
+import { BLOCKER_NAME, WILDCARD_NAME } from './tiles.js';
+
+const PACK_KEY = 'zeviaFlavorPack';
+
+// One rule per tier; flavors without an image show their name instead
+function packStyles(pack) {
+    return pack.flavors.map((flavor, tier) => {
+        const declarations = [];
+        if (flavor.color) declarations.push(`background-color: ${flavor.color};`);
+        if (flavor.image) {
+            declarations.push(`background-image: url("${flavor.image}");`);
+        } else {
+            declarations.push('font-size: 12px; text-align: center; padding: 4px;');
+        }
+        return `.tile[data-tier="${tier}"], .legend-tile[data-tier="${tier}"] { ${declarations.join(' ')} }`;
+    }).join('\n');
+}
+
+export class FlavorPackView {
+    constructor(ui) {
+        this.ui = ui;
+        this.select = document.getElementById('flavor-pack-select');
+        this.legend = document.getElementById('flavor-legend');
+        this.style = document.createElement('style');
+        document.head.appendChild(this.style);
+        this.shownPackId = null;
+        this.shownLegend = null; // Pack, win tier and variants the legend was drawn for
+        this.preloaded = new Set();
+
+        listPacks().forEach((pack) => {
+            const option = document.createElement('option');
+            option.value = pack.id;
+            option.textContent = pack.name;
+            this.select.appendChild(option);
+        });
+        this.select.addEventListener('change', () => this.choose(this.select.value));
+    }
+
+    // Pack for new classic games: ?pack= or the saved choice, if it's registered
+    loadPackId() {
+        const urlPack = new URLSearchParams(window.location.search).get('pack');
+        const id = urlPack || localStorage.getItem(PACK_KEY);
+        return id && getPack(id) ? id : DEFAULT_PACK_ID;
+    }
+
+    // Switch packs and start a fresh game
+    choose(id) {
+        if (!getPack(id)) return;
+        localStorage.setItem(PACK_KEY, id);
+        this.ui.newGame({ pack: id });
+    }
+
+    // Re-render for the displayed game's pack, win tier and variants
+    // (no-op if they're already shown)
+    sync() {
+        const { pack, rules } = this.ui.game;
+        const clearTier = rules.blockers?.clearTier ?? null;
+        const wildcards = rules.wildcardChance > 0;
+        this.select.value = pack.id;
+        if (pack.id !== this.shownPackId) {
+            this.style.textContent = packStyles(pack);
+            this.preloadImages(pack);
+            this.shownPackId = pack.id;
+        }
+        const legend = [pack.id, rules.winTier, clearTier, wildcards].join();
+        if (legend === this.shownLegend) return;
+        this.shownLegend = legend;
+        this.renderLegend(pack, rules.winTier, { clearTier, wildcards });
+    }
+
+    // clearTier is null unless the game has empty cans
+    renderLegend(pack, winTier, { clearTier, wildcards }) {
+        const items = pack.flavors.map((flavor, tier) => {
+            const item = this.legendItem(tier, flavor.name);
+            if (tier === winTier) {
+                const goal = document.createElement('span');
+                goal.className = 'legend-goal';
+                goal.textContent = 'Win';
+                goal.title = 'Make this flavor to win';
+                item.appendChild(goal);
+            }
+            return item;
+        });
+        const prestige = this.legendItem(0, 'Prestige: the lineup repeats, one more ★ per lap');
+        prestige.querySelector('.legend-tile').dataset.prestige = '★1';
+        items.push(prestige);
+        if (wildcards) {
+            const mystery = this.legendItem('', `${WILDCARD_NAME}: merges with any flavor and upgrades it`);
+            mystery.querySelector('.legend-tile').classList.add('wildcard');
+            items.push(mystery);
+        }
+        if (clearTier !== null) {
+            const can = this.legendItem('', `${BLOCKER_NAME}: blocks slides; merge ${pack.names[clearTier]} or better next to it to clear it`);
+            can.querySelector('.legend-tile').classList.add('blocker');
+            items.push(can);
+        }
+        this.legend.replaceChildren(...items);
+    }
+
+    legendItem(tier, label) {
+        const item = document.createElement('li');
+        const tile = document.createElement('span');
+        const name = document.createElement('span');
+        item.className = 'legend-item';
+        tile.className = 'legend-tile';
+        tile.dataset.tier = tier;
+        name.className = 'legend-name';
+        name.textContent = label;
+        item.append(tile, name);
+        return item;
+    }
+
+    // Warm the first cans right away and the rest when the browser is idle
+    preloadImages(pack) {
+        const paths = pack.flavors
+            .map((flavor) => flavor.image)
+            .filter((path) => path && !this.preloaded.has(path));
+        paths.forEach((path) => this.preloaded.add(path));
+        const critical = paths.slice(0, 3);
+        const deferred = paths.slice(3);
+        const warm = (path) => {
+            const img = new Image();
+            img.src = path;
+            if (typeof img.decode === 'function') {
+                img.decode().catch(() => {
+                    // Ignore decode failures; browser will still fetch/cache image bytes.
+                });
+            }
+        };
+
+        critical.forEach(warm);
+
+        const preloadDeferred = () => deferred.forEach(warm);
+        if (typeof window.requestIdleCallback === 'function') {
+            window.requestIdleCallback(preloadDeferred, { timeout: 1200 });
+        } else {
+            setTimeout(preloadDeferred, 400);
+        }
+    }
+}
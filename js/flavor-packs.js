@@ -0,0 +1,131 @@
+// ==================== Flavor Packs ====================
+// A flavor pack is the lineup a game is played with. Packs are JSON files in
+// assets/packs/, listed in assets/packs/index.json:
+//   { id, name, winTier, spawn: { tiers: [common, rare], rareChance },
+//     flavors: [{ name, image, color }] }
+// Flavor names, the win tier and the spawn tiers are game rules: replays
+// record the pack id, and the backend loads the same files to verify them.
+// Images and colors only matter to the UI. DOM-free like the engine.
+
+export const DEFAULT_PACK_ID = 'zevia';
+
+// The default lineup, built in so the engine works before (or without)
+// loading any manifest; assets/packs/zevia.json must match it
+export const FLAVORS = [
+    'Cola',
+    'Dr. Zevia',
+    'Ginger Ale',
+    'Black Cherry',
+    'Lemon Lime Twist',
+    'Orange',
+    'Grape',
+    'Cream Soda',
+    'Cherry Cola',
+    'Creamy Root Beer',
+    'Ginger Root Beer',
+    'Cran-Raspberry',
+    'Vanilla Cola',
+    'Salted Caramel',
+    'Orange Creamsicle'
+];
+
+const MAX_FLAVORS = 64;
+const MAX_NAME_LENGTH = 40;
+// Site-relative paths or https URLs; no quotes or parentheses, so they can
+// go into a CSS url() unescaped
+const IMAGE_RE = /^(https:\/\/)?[\w./-]+$/;
+const COLOR_RE = /^#[0-9a-fA-F]{6}$/;
+
+const packs = new Map();
+
+// Returns an error string, or null if the manifest is usable
+export function validatePack(data) {
+    if (!data || typeof data !== 'object') return 'Pack is not an object';
+    if (typeof data.id !== 'string' || !/^[a-z0-9][a-z0-9-]{0,31}$/.test(data.id)) return 'Invalid pack id';
+    if (typeof data.name !== 'string' || !data.name.trim() || data.name.length > MAX_NAME_LENGTH) {
+        return 'Invalid pack name';
+    }
+
+    const { flavors } = data;
+    if (!Array.isArray(flavors) || flavors.length < 2 || flavors.length > MAX_FLAVORS) {
+        return `A pack needs 2-${MAX_FLAVORS} flavors`;
+    }
+    const names = new Set();
+    for (const [i, flavor] of flavors.entries()) {
+        const name = flavor?.name;
+        // ★ is reserved for Prestige tier names
+        if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH || name.includes('★')) {
+            return `Invalid name for flavor ${i}`;
+        }
+        if (names.has(name)) return `Duplicate flavor name: ${name}`;
+        names.add(name);
+        if (flavor.image !== undefined && (typeof flavor.image !== 'string' || !IMAGE_RE.test(flavor.image))) {
+            return `Invalid image for ${name}`;
+        }
+        if (flavor.color !== undefined && (typeof flavor.color !== 'string' || !COLOR_RE.test(flavor.color))) {
+            return `Invalid color for ${name}`;
+        }
+    }
+
+    const isTier = (value) => Number.isInteger(value) && value >= 0 && value < flavors.length;
+    if (!isTier(data.winTier)) return 'Invalid win tier';
+    const { tiers, rareChance } = data.spawn || {};
+    if (!Array.isArray(tiers) || tiers.length !== 2 || !tiers.every(isTier)) return 'Invalid spawn tiers';
+    if (typeof rareChance !== 'number' || rareChance < 0 || rareChance > 1) return 'Invalid spawn chance';
+    return null;
+}
+
+// Validate and register a pack (replacing one with the same id); throws if invalid
+export function registerPack(data) {
+    const error = validatePack(data);
+    if (error) throw new Error(`Invalid flavor pack${typeof data?.id === 'string' ? ` "${data.id}"` : ''}: ${error}`);
+
+    const pack = {
+        id: data.id,
+        name: data.name.trim(),
+        flavors: data.flavors.map(({ name, image = null, color = null }) => ({ name, image, color })),
+        names: data.flavors.map((flavor) => flavor.name),
+        winTier: data.winTier,
+        spawn: { tiers: data.spawn.tiers.slice(), rareChance: data.spawn.rareChance }
+    };
+    packs.set(pack.id, pack);
+    return pack;
+}
+
+// Registered pack by id (null if unknown)
+export function getPack(id = DEFAULT_PACK_ID) {
+    return packs.get(id) ?? null;
+}
+
+export function listPacks() {
+    return [...packs.values()];
+}
+
+// Read assets/packs/index.json ({ packs: [file, ...] }) and register every
+// pack in it. `readJson(file)` loads a file from the packs directory (fetch
+// in the browser, fs on the server). A pack that fails to load or validate
+// is skipped and reported, so one broken seasonal pack can't take the game
+// down. Returns { loaded: [ids], failures: [messages] }.
+export async function loadPacks(readJson) {
+    const index = await readJson('index.json');
+    if (!Array.isArray(index?.packs)) throw new Error('Pack index has no "packs" list');
+
+    const loaded = [];
+    const failures = [];
+    for (const file of index.packs) {
+        try {
+            loaded.push(registerPack(await readJson(file)).id);
+        } catch (err) {
+            failures.push(`${file}: ${err instanceof Error ? err.message : err}`);
+        }
+    }
+    return { loaded, failures };
+}
+
+registerPack({
+    id: DEFAULT_PACK_ID,
+    name: 'Zevia Classic',
+    flavors: FLAVORS.map((name) => ({ name })),
+    winTier: 10,
+    spawn: { tiers: [0, 1], rareChance: 0.1 }
+});
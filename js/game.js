@@ -1,6 +1,63 @@
 // ==================== Game State ====================
-class Game {
-    constructor() {
+// Headless engine: no DOM access, so it runs in the browser, in Node
+// (backend, tests) and in workers alike.
+import { SeededRandom } from './rng.js';
+import { DEFAULT_PACK_ID, FLAVORS, getPack } from './flavor-packs.js';
+import { DEFAULT_DIFFICULTY, resolveRules, validateRules } from './difficulty.js';
+import {
+    BLOCKER_NAME, BLOCKER_TILE, WILDCARD_NAME, WILDCARD_TILE, boardFromCodes, boardToCodes, flavorTile,
+    isBlocker, isWildcard, mergeTier, parseTileCode, sameTile, tierOf
+} from './tiles.js';
+
+export { FLAVORS };
+
+export const MIN_BOARD_SIZE = 3;
+export const MAX_BOARD_SIZE = 8;
+export const DEFAULT_BOARD_SIZE = 4;
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_BLOCKER_SHARE = 0.25; // No new empty cans once this share of the cells hold one
+export const SAVE_VERSION = 1; // Bump when serialize() output changes shape
+
+// One-letter codes used to store move lists compactly (saves, replays)
+const DIRECTION_CODES = { up: 'U', down: 'D', left: 'L', right: 'R' };
+const CODE_DIRECTIONS = { U: 'up', D: 'down', L: 'left', R: 'right' };
+
+export function encodeDirections(directions) {
+    return directions.map((direction) => DIRECTION_CODES[direction]).join('');
+}
+
+// Returns null if the string contains anything but U/D/L/R
+export function decodeDirections(codes) {
+    if (typeof codes !== 'string' || !/^[UDLR]*$/.test(codes)) return null;
+    return codes.split('').map((code) => CODE_DIRECTIONS[code]);
+}
+
+// Points for a merge into `tier`: the new can's value, 2^tier. A wildcard
+// brings no flavor of its own, so its merges score half.
+export function mergePoints(tier, wildcard = false) {
+    return Math.pow(2, wildcard ? tier - 1 : tier);
+}
+
+// Past the last flavor the lineup starts over as Prestige tiers: one lap
+// later Cola comes back as "Cola ★1", another lap later as "Cola ★2", and
+// so on. Tile values keep counting up, so merging and scoring need no
+// special case. Returns { name, base, baseIndex, prestige } (null for a
+// non-tile).
+export function flavorTier(index, flavors = FLAVORS) {
+    if (!Number.isInteger(index) || index < 0) return null;
+    const baseIndex = index % flavors.length;
+    const base = flavors[baseIndex];
+    const prestige = Math.floor(index / flavors.length);
+    return { name: prestige > 0 ? `${base} ★${prestige}` : base, base, baseIndex, prestige };
+}
+
+export class Game {
+    constructor(options = {}) {
+        this.width = DEFAULT_BOARD_SIZE;
+        this.height = DEFAULT_BOARD_SIZE;
+        this.size = this.width * this.height;
+        this.seed = null;
+        this.rng = null;
         this.board = [];
         this.score = 0;
         this.moves = 0;
@@ -9,106 +66,494 @@ class Game {
         this.winModalShown = false; // Track if win modal has been displayed
         this.movedTiles = new Set(); // Track which tiles moved
         this.mergedTiles = new Set(); // Track which tiles merged
-        this.newTile = null; // Track newly spawned tile
+        this.newTiles = []; // Indices of the tiles spawned by the last move
         this.boardBefore = [];
         this.boardAfterMove = [];
-        this.animationMetadata = { moves: [], merges: [] };
-
-        this.flavors = [
-            'Cola',
-            'Dr. Zevia',
-            'Ginger Ale',
-            'Black Cherry',
-            'Lemon Lime Twist',
-            'Orange',
-            'Grape',
-            'Cream Soda',
-            'Cherry Cola',
-            'Creamy Root Beer',
-            'Ginger Root Beer',
-            'Cran-Raspberry',
-            'Vanilla Cola',
-            'Salted Caramel',
-            'Orange Creamsicle'
-        ];
-
+        this.animationMetadata = { moves: [], merges: [], blockersAdded: [], blockersCleared: [] };
+        this.undoStack = []; // Snapshots before each move (most recent last)
+        this.redoStack = []; // Snapshots popped by undo, replayable by redo
+        this.undoCount = 0; // Total undos used this game (assisted run marker)
+        this.hintCount = 0; // Solver suggestions used, including autoplay moves
+        this.moveLog = []; // { direction, time } per effective move
+        this.startedAt = Date.now();
+        this.historyLimit = options.historyLimit ?? DEFAULT_HISTORY_LIMIT;
+        this.listeners = new Map(); // Event name -> Set of handlers
+        this.mode = 'classic'; // 'classic' or 'daily'
+        this.dailyDate = null; // UTC 'YYYY-MM-DD' for daily games
+        this.pack = null; // Flavor pack (see flavor-packs.js)
+        this.flavors = [];
+        this.rules = null; // Spawns and win tier (see difficulty.js)
+
+        this.configure(options);
         this.initBoard();
     }
 
-    // Initialize 4x4 board
+    // Apply mode, flavor pack, rules, dimensions and seed. Daily games
+    // ignore the requested size, pack, rules and seed: everyone plays the
+    // classic board, lineup and Normal rules seeded from the UTC date.
+    configure(options) {
+        this.mode = options.mode === 'daily' ? 'daily' : 'classic';
+        if (this.mode === 'daily') {
+            this.dailyDate = options.dailyDate || Game.utcDateKey();
+            this.setPack(DEFAULT_PACK_ID);
+            this.setDimensions(DEFAULT_BOARD_SIZE, DEFAULT_BOARD_SIZE);
+            this.setRules({ difficulty: DEFAULT_DIFFICULTY });
+            this.setSeed(Game.dailySeed(this.dailyDate));
+        } else {
+            this.dailyDate = null;
+            this.setPack(options.pack);
+            this.setDimensions(options.width, options.height);
+            this.setRules(options.rules);
+            this.setSeed(options.seed);
+        }
+    }
+
+    // Play with a registered flavor pack; unknown ids fall back to the default
+    setPack(id) {
+        this.pack = getPack(id ?? DEFAULT_PACK_ID) || getPack(DEFAULT_PACK_ID);
+        this.flavors = this.pack.names;
+    }
+
+    // Resolve a rules object for the current pack and board (see
+    // difficulty.js); invalid rules fall back to the Normal preset
+    setRules(rules = {}) {
+        const usable = validateRules(rules, this.pack, this.width * this.height) === null;
+        this.rules = resolveRules(usable ? rules : {}, this.pack);
+    }
+
+    // UTC date key ('YYYY-MM-DD') for a timestamp
+    static utcDateKey(now = Date.now()) {
+        return new Date(now).toISOString().slice(0, 10);
+    }
+
+    // Seed shared by every player of a given day's challenge
+    static dailySeed(date) {
+        return SeededRandom.normalizeSeed(`zevia-daily:${date}`);
+    }
+
+    // ==================== Events ====================
+    // Subscribe to engine events; returns an unsubscribe function.
+    //   'merge'    { from: [a, b], to, value, flavor, points, wildcard }  (once per merge, before the spawn)
+    //   'spawn'    { index, kind, value, flavor }               (every new tile, including the opening two)
+    //   'blocker'  { index, action: 'add' | 'clear' }           (an empty can lands or is crushed)
+    //   'move'     { direction, score, scoreGained, moves, slides, merges, spawns, blockers, boardBefore, board }
+    //   'win'      { score, moves, value, flavor }              (first time the winning can appears)
+    //   'gameover' { score, moves, maxTile }
+    //   'undo' / 'redo' { score, moves, board }
+    //   'hint'     { hintCount }
+    //   'reset' / 'restore' { width, height, seed, mode, pack, difficulty }
+    // slides/merges are copies of animationMetadata.moves/merges for that move;
+    // blockers is { added, cleared } from animationMetadata.blockersAdded/Cleared.
+    on(event, handler) {
+        if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (handlers) handlers.delete(handler);
+    }
+
+    emit(event, payload) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+        // Copy so handlers may unsubscribe while being notified
+        [...handlers].forEach((handler) => {
+            try {
+                handler(payload);
+            } catch (err) {
+                console.error(`Game '${event}' listener failed`, err);
+            }
+        });
+    }
+
+    // Seed the tile RNG; a missing seed picks a random one
+    setSeed(seed) {
+        const hasSeed = seed !== undefined && seed !== null && seed !== '';
+        this.rng = new SeededRandom(hasSeed ? seed : SeededRandom.randomSeed());
+        this.seed = this.rng.seed;
+    }
+
+    // Clamp a requested board dimension to the supported range
+    static clampDimension(value) {
+        const parsed = Math.floor(Number(value));
+        if (!Number.isFinite(parsed)) return DEFAULT_BOARD_SIZE;
+        return Math.max(MIN_BOARD_SIZE, Math.min(MAX_BOARD_SIZE, parsed));
+    }
+
+    // Set board width/height (height defaults to width for square boards)
+    setDimensions(width = this.width, height = width) {
+        this.width = Game.clampDimension(width);
+        this.height = Game.clampDimension(height);
+        this.size = this.width * this.height;
+    }
+
+    // Convert a board index to its row/column
+    getCoords(index) {
+        return { row: Math.floor(index / this.width), col: index % this.width };
+    }
+
+    // Board indices of a row, left to right
+    getRowIndices(row) {
+        const indices = [];
+        for (let col = 0; col < this.width; col++) {
+            indices.push(row * this.width + col);
+        }
+        return indices;
+    }
+
+    // Board indices of a column, top to bottom
+    getColumnIndices(col) {
+        const indices = [];
+        for (let row = 0; row < this.height; row++) {
+            indices.push(row * this.width + col);
+        }
+        return indices;
+    }
+
+    // Orthogonal neighbours of a board index
+    getNeighbors(index) {
+        const { row, col } = this.getCoords(index);
+        const neighbors = [];
+        if (row > 0) neighbors.push(index - this.width);
+        if (row < this.height - 1) neighbors.push(index + this.width);
+        if (col > 0) neighbors.push(index - 1);
+        if (col < this.width - 1) neighbors.push(index + 1);
+        return neighbors;
+    }
+
+    // Initialize width x height board with the rules' starting tiles
     initBoard() {
-        this.board = Array(16).fill(null);
-        this.addNewTile();
-        this.addNewTile();
+        this.board = Array(this.size).fill(null);
+        for (let i = 0; i < this.rules.startTiles; i++) this.addNewTile();
     }
 
-    // Add new tile (90% Cola, 10% Ginger Ale)
+    // Add a new tile from the rules' spawn tiers (Cola or Dr. Zevia, 90/10,
+    // on Normal), or now and then a wildcard if the rules allow them
     addNewTile() {
-        const emptyIndices = this.board
-            .map((tile, i) => tile === null ? i : -1)
-            .filter(i => i !== -1);
+        const emptyIndices = this.getEmptyIndices();
 
         if (emptyIndices.length === 0) return null;
 
-        const randomIndex = emptyIndices[Math.floor(Math.random() * emptyIndices.length)];
-        const isRare = Math.random() < 0.1;
-        this.board[randomIndex] = isRare ? 1 : 0; // 0 = Cola, 1 = Ginger Ale
+        const randomIndex = emptyIndices[this.rng.nextInt(emptyIndices.length)];
+        const { spawn: { tiers, rareChance }, wildcardChance } = this.rules;
+        // Only roll for a wildcard when they're on, so games without them
+        // draw the same numbers as before wildcards existed
+        if (wildcardChance > 0 && this.rng.next() < wildcardChance) {
+            this.board[randomIndex] = WILDCARD_TILE;
+        } else {
+            const isRare = this.rng.next() < rareChance;
+            this.board[randomIndex] = flavorTile(isRare ? tiers[1] : tiers[0]);
+        }
+        const tile = this.board[randomIndex];
+        this.emit('spawn', {
+            index: randomIndex,
+            kind: tile.kind,
+            value: tile.tier,
+            flavor: this.getTileName(tile)
+        });
         return randomIndex; // Return index for tracking
     }
 
+    // Empty can rule: every `interval` moves one lands on a random free cell
+    addBlocker() {
+        const { blockers } = this.rules;
+        if (!blockers || this.moves % blockers.interval !== 0) return null;
+        const count = this.board.filter(isBlocker).length;
+        if (count >= Math.floor(this.size * MAX_BLOCKER_SHARE)) return null;
+
+        const emptyIndices = this.getEmptyIndices();
+        if (emptyIndices.length === 0) return null;
+
+        const index = emptyIndices[this.rng.nextInt(emptyIndices.length)];
+        this.board[index] = BLOCKER_TILE;
+        this.animationMetadata.blockersAdded.push(index);
+        this.emit('blocker', { index, action: 'add' });
+        return index;
+    }
+
+    // Board indices of the free cells (empty cans don't count)
+    getEmptyIndices() {
+        return this.board
+            .map((tile, i) => tile === null ? i : -1)
+            .filter(i => i !== -1);
+    }
+
     // Get flavor name from index
     getFlavorName(index) {
-        return index !== null ? this.flavors[index] : null;
+        return flavorTier(index, this.flavors)?.name ?? null;
+    }
+
+    getFlavorTier(index) {
+        return flavorTier(index, this.flavors);
+    }
+
+    // Display name of a board tile (null for an empty cell)
+    getTileName(tile) {
+        if (isWildcard(tile)) return WILDCARD_NAME;
+        if (isBlocker(tile)) return BLOCKER_NAME;
+        return this.getFlavorName(tierOf(tile));
     }
 
-    // Get flavor index from name
+    // Highest flavor index on the board (null if there are no flavors)
+    getMaxTile() {
+        const tiers = this.board.map(tierOf).filter((tier) => tier !== null);
+        return tiers.length ? Math.max(...tiers) : null;
+    }
+
+    // Get flavor index from name (-1 if unknown)
     getFlavorIndex(name) {
-        return this.flavors.indexOf(name);
+        const prestige = /^(.*) ★([1-9]\d*)$/.exec(name);
+        const base = this.flavors.indexOf(prestige ? prestige[1] : name);
+        if (base === -1 || !prestige) return base;
+        return base + Number(prestige[2]) * this.flavors.length;
     }
 
     // Move tiles in a direction
     move(direction) {
         if (this.gameOver) return false; // Allow moves after winning
 
+        const snapshot = this.getSnapshot();
         const boardBefore = this.board.slice();
         this.movedTiles.clear();
         this.mergedTiles.clear();
         this.boardBefore = boardBefore;
         this.boardAfterMove = boardBefore.slice();
-        this.animationMetadata = { moves: [], merges: [] };
-        this.newTile = null;
+        this.animationMetadata = { moves: [], merges: [], blockersAdded: [], blockersCleared: [] };
+        this.newTiles = [];
 
-        if (direction === 'left') this.moveLeft();
-        else if (direction === 'right') this.moveRight();
-        else if (direction === 'up') this.moveUp();
-        else if (direction === 'down') this.moveDown();
-        else return false;
+        if (!this.shift(direction)) return false;
 
         if (!this.boardsEqual(boardBefore, this.board)) {
+            this.pushHistory(snapshot);
+            this.logMove(direction);
             this.boardAfterMove = this.board.slice();
             this.moves++;
-            const newTileIndex = this.addNewTile();
-            this.newTile = newTileIndex; // Explicitly track new tile
+            this.emitMerges();
+            this.animationMetadata.blockersCleared.forEach((index) => {
+                this.emit('blocker', { index, action: 'clear' });
+            });
+            for (let i = 0; i < this.rules.spawnCount; i++) {
+                const index = this.addNewTile();
+                if (index !== null) this.newTiles.push(index);
+            }
+            this.addBlocker();
+            const wasWon = this.won;
             this.checkGameStatus();
+            this.emitMoveResult(direction, snapshot.score, wasWon);
             return true;
         }
 
         return false;
     }
 
+    // Record an effective move for replays. Entries past the current move
+    // count were undone; redo keeps them, a different move overwrites them.
+    logMove(direction) {
+        this.moveLog.length = this.moves;
+        this.moveLog.push({ direction, time: Date.now() - this.startedAt });
+    }
+
+    // Effective move list (undone moves excluded)
+    getMoveLog() {
+        return this.moveLog.slice(0, this.moves);
+    }
+
+    // Settings that, together with the seed and move list, determine a game
+    getRules() {
+        const { spawn, blockers, ...rules } = this.rules;
+        return {
+            width: this.width,
+            height: this.height,
+            pack: this.pack.id,
+            ...rules,
+            spawn: { tiers: spawn.tiers.slice(), rareChance: spawn.rareChance },
+            blockers: blockers && { ...blockers }
+        };
+    }
+
+    // One 'merge' event per entry in animationMetadata.merges
+    emitMerges() {
+        this.animationMetadata.merges.forEach((merge) => {
+            const value = tierOf(this.boardAfterMove[merge.to]);
+            const wildcard = merge.from.some((index) => isWildcard(this.boardBefore[index]));
+            this.emit('merge', {
+                from: merge.from.slice(),
+                to: merge.to,
+                value,
+                flavor: this.getFlavorName(value),
+                points: mergePoints(value, wildcard),
+                wildcard
+            });
+        });
+    }
+
+    emitMoveResult(direction, scoreBefore, wasWon) {
+        this.emit('move', {
+            direction,
+            score: this.score,
+            scoreGained: this.score - scoreBefore,
+            moves: this.moves,
+            slides: this.animationMetadata.moves.map((slide) => ({ ...slide })),
+            merges: this.animationMetadata.merges.map((merge) => ({ from: merge.from.slice(), to: merge.to })),
+            spawns: this.newTiles.slice(),
+            blockers: {
+                added: this.animationMetadata.blockersAdded.slice(),
+                cleared: this.animationMetadata.blockersCleared.slice()
+            },
+            boardBefore: this.boardBefore.slice(),
+            board: this.board.slice()
+        });
+
+        if (this.won && !wasWon) {
+            this.emit('win', {
+                score: this.score,
+                moves: this.moves,
+                value: this.rules.winTier,
+                flavor: this.getFlavorName(this.rules.winTier)
+            });
+        }
+
+        if (this.gameOver) {
+            this.emit('gameover', {
+                score: this.score,
+                moves: this.moves,
+                maxTile: this.getMaxTile()
+            });
+        }
+    }
+
+    // Capture everything needed to rewind to this exact point, including the
+    // RNG state so redo (or replaying the same move) spawns the same tile
+    getSnapshot() {
+        return {
+            board: this.board.slice(),
+            score: this.score,
+            moves: this.moves,
+            won: this.won,
+            gameOver: this.gameOver,
+            winModalShown: this.winModalShown,
+            rngState: this.rng.getState()
+        };
+    }
+
+    applySnapshot(snapshot) {
+        this.board = snapshot.board.slice();
+        this.score = snapshot.score;
+        this.moves = snapshot.moves;
+        this.won = snapshot.won;
+        this.gameOver = snapshot.gameOver;
+        this.winModalShown = snapshot.winModalShown;
+        this.rng.setState(snapshot.rngState);
+        this.clearAnimationState();
+    }
+
+    pushHistory(snapshot) {
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > this.historyLimit) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Step back one move
+    undo() {
+        if (!this.canUndo()) return false;
+        this.redoStack.push(this.getSnapshot());
+        this.applySnapshot(this.undoStack.pop());
+        this.undoCount++;
+        this.emit('undo', { score: this.score, moves: this.moves, board: this.board.slice() });
+        return true;
+    }
+
+    // Re-apply the last undone move
+    redo() {
+        if (!this.canRedo()) return false;
+        this.undoStack.push(this.getSnapshot());
+        this.applySnapshot(this.redoStack.pop());
+        this.emit('redo', { score: this.score, moves: this.moves, board: this.board.slice() });
+        return true;
+    }
+
+    // Count a solver suggestion (hint or autoplay move) against this run
+    recordHint() {
+        this.hintCount++;
+        this.emit('hint', { hintCount: this.hintCount });
+    }
+
+    // Whether the run used assists (undo, hints) and should be ranked separately
+    isAssisted() {
+        return this.undoCount > 0 || this.hintCount > 0;
+    }
+
+    clearAnimationState() {
+        this.movedTiles.clear();
+        this.mergedTiles.clear();
+        this.newTiles = [];
+        this.boardBefore = [];
+        this.boardAfterMove = [];
+        this.animationMetadata = { moves: [], merges: [], blockersAdded: [], blockersCleared: [] };
+    }
+
+    // Slide and merge the board in a direction, without spawning or move
+    // bookkeeping. Also used by the solver to look ahead on a scratch game.
+    shift(direction) {
+        if (direction === 'left') this.moveLeft();
+        else if (direction === 'right') this.moveRight();
+        else if (direction === 'up') this.moveUp();
+        else if (direction === 'down') this.moveDown();
+        else return false;
+        this.clearBlockers();
+        return true;
+    }
+
+    // Merges that reach the rules' clear tier crush the empty cans next to them
+    clearBlockers() {
+        const { blockers } = this.rules;
+        if (!blockers) return;
+        this.animationMetadata.merges.forEach(({ to }) => {
+            if (tierOf(this.board[to]) < blockers.clearTier) return;
+            this.getNeighbors(to).forEach((index) => {
+                if (!isBlocker(this.board[index])) return;
+                this.board[index] = null;
+                this.animationMetadata.blockersCleared.push(index);
+            });
+        });
+    }
+
     boardsEqual(a, b) {
-        for (let i = 0; i < 16; i++) {
-            if (a[i] !== b[i]) return false;
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (!sameTile(a[i], b[i])) return false;
         }
         return true;
     }
 
+    // Slide and merge a line towards its first index. Empty cans stay put,
+    // so each run of cells between them slides on its own.
     processLine(indices) {
+        let start = 0;
+        indices.forEach((boardIndex, i) => {
+            if (!isBlocker(this.board[boardIndex])) return;
+            this.processSegment(indices.slice(start, i));
+            start = i + 1;
+        });
+        this.processSegment(indices.slice(start));
+    }
+
+    processSegment(indices) {
         const entries = indices
-            .map((boardIndex) => ({ value: this.board[boardIndex], from: boardIndex }))
-            .filter((entry) => entry.value !== null);
+            .map((boardIndex) => ({ tile: this.board[boardIndex], from: boardIndex }))
+            .filter((entry) => entry.tile !== null);
 
-        const result = Array(4).fill(null);
+        const result = Array(indices.length).fill(null);
         let read = 0;
         let write = 0;
 
@@ -117,10 +562,11 @@ class Game {
             const next = entries[read + 1];
             const target = indices[write];
 
-            if (next && next.value === current.value) {
-                const mergedValue = current.value + 1;
-                result[write] = mergedValue;
-                this.score += Math.pow(2, mergedValue);
+            const mergedTier = next ? mergeTier(current.tile, next.tile) : null;
+
+            if (mergedTier !== null) {
+                result[write] = flavorTile(mergedTier);
+                this.score += mergePoints(mergedTier, isWildcard(current.tile) || isWildcard(next.tile));
                 this.mergedTiles.add(target);
 
                 if (current.from !== target) {
@@ -140,7 +586,7 @@ class Game {
 
                 read += 2;
             } else {
-                result[write] = current.value;
+                result[write] = current.tile;
                 if (current.from !== target) {
                     this.movedTiles.add(target);
                     this.animationMetadata.moves.push({ from: current.from, to: target });
@@ -151,63 +597,43 @@ class Game {
             write += 1;
         }
 
-        for (let i = 0; i < 4; i++) {
+        for (let i = 0; i < indices.length; i++) {
             this.board[indices[i]] = result[i];
         }
     }
 
     // Move left
     moveLeft() {
-        for (let row = 0; row < 4; row++) {
-            this.processLine([
-                row * 4,
-                row * 4 + 1,
-                row * 4 + 2,
-                row * 4 + 3
-            ]);
+        for (let row = 0; row < this.height; row++) {
+            this.processLine(this.getRowIndices(row));
         }
     }
 
     // Move right
     moveRight() {
-        for (let row = 0; row < 4; row++) {
-            this.processLine([
-                row * 4 + 3,
-                row * 4 + 2,
-                row * 4 + 1,
-                row * 4
-            ]);
+        for (let row = 0; row < this.height; row++) {
+            this.processLine(this.getRowIndices(row).reverse());
         }
     }
 
     // Move up
     moveUp() {
-        for (let col = 0; col < 4; col++) {
-            this.processLine([
-                col,
-                4 + col,
-                8 + col,
-                12 + col
-            ]);
+        for (let col = 0; col < this.width; col++) {
+            this.processLine(this.getColumnIndices(col));
         }
     }
 
     // Move down
     moveDown() {
-        for (let col = 0; col < 4; col++) {
-            this.processLine([
-                12 + col,
-                8 + col,
-                4 + col,
-                col
-            ]);
+        for (let col = 0; col < this.width; col++) {
+            this.processLine(this.getColumnIndices(col).reverse());
         }
     }
 
     // Check if game is over or won
     checkGameStatus() {
-        // Check for Ginger Root Beer (index 10) - 11th can
-        if (this.board.includes(10)) {
+        // The rules' win tier (Ginger Root Beer on Normal)
+        if (this.board.some((tile) => tierOf(tile) === this.rules.winTier)) {
             this.won = true;
         }
 
@@ -222,45 +648,175 @@ class Game {
         // Check for empty spaces
         if (this.board.includes(null)) return true;
 
-        // Check for possible merges
-        for (let i = 0; i < 4; i++) {
-            for (let j = 0; j < 4; j++) {
-                const index = i * 4 + j;
+        // Check for possible merges (equal flavors, or a wildcard next to a
+        // flavor; empty cans never merge)
+        for (let i = 0; i < this.height; i++) {
+            for (let j = 0; j < this.width; j++) {
+                const index = i * this.width + j;
                 const current = this.board[index];
 
                 // Check right
-                if (j < 3 && current === this.board[index + 1]) return true;
+                if (j < this.width - 1 && mergeTier(current, this.board[index + 1]) !== null) return true;
 
                 // Check down
-                if (i < 3 && current === this.board[index + 4]) return true;
+                if (i < this.height - 1 && mergeTier(current, this.board[index + this.width]) !== null) return true;
             }
         }
 
         return false;
     }
 
-    // Reset game
-    reset() {
+    // Reset game (optionally with new board dimensions, pack, rules, seed
+    // and/or mode). Current settings carry over; on another pack only the
+    // difficulty and the variants do, since custom rules may not fit its
+    // lineup.
+    reset(options = {}) {
+        const pack = options.pack ?? this.pack.id;
+        this.configure({
+            ...options,
+            pack,
+            rules: options.rules ?? (pack === this.pack.id
+                ? this.rules
+                : {
+                    difficulty: this.rules.difficulty,
+                    blockers: Boolean(this.rules.blockers),
+                    wildcardChance: this.rules.wildcardChance
+                }),
+            width: options.width ?? this.width,
+            height: options.height ?? options.width ?? this.height
+        });
         this.board = [];
         this.score = 0;
         this.moves = 0;
         this.gameOver = false;
         this.won = false;
         this.winModalShown = false; // Reset win modal flag
-        this.movedTiles.clear();
-        this.mergedTiles.clear();
-        this.newTile = null;
-        this.boardBefore = [];
-        this.boardAfterMove = [];
-        this.animationMetadata = { moves: [], merges: [] };
+        this.clearAnimationState();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.undoCount = 0;
+        this.hintCount = 0;
+        this.moveLog = [];
+        this.startedAt = Date.now();
         this.initBoard();
+        this.emit('reset', this.describe());
+    }
+
+    // Payload of the 'reset' and 'restore' events
+    describe() {
+        return {
+            width: this.width,
+            height: this.height,
+            seed: this.seed,
+            mode: this.mode,
+            pack: this.pack.id,
+            difficulty: this.rules.difficulty
+        };
+    }
+
+    // Serialize the full game state for persistence (undo history excluded)
+    serialize() {
+        return {
+            version: SAVE_VERSION,
+            width: this.width,
+            height: this.height,
+            pack: this.pack.id,
+            rules: {
+                ...this.rules,
+                spawn: { ...this.rules.spawn, tiers: this.rules.spawn.tiers.slice() },
+                blockers: this.rules.blockers && { ...this.rules.blockers }
+            },
+            seed: this.seed,
+            rngState: this.rng.getState(),
+            board: boardToCodes(this.board),
+            score: this.score,
+            moves: this.moves,
+            won: this.won,
+            gameOver: this.gameOver,
+            winModalShown: this.winModalShown,
+            undoCount: this.undoCount,
+            hintCount: this.hintCount,
+            mode: this.mode,
+            dailyDate: this.dailyDate,
+            startedAt: this.startedAt,
+            moveLog: {
+                directions: encodeDirections(this.getMoveLog().map((entry) => entry.direction)),
+                times: this.getMoveLog().map((entry) => entry.time)
+            }
+        };
+    }
+
+    // Check a save produced by serialize(); returns an error string or null
+    static validateSave(data) {
+        if (!data || typeof data !== 'object') return 'Save is not an object';
+        if (data.version !== SAVE_VERSION) return `Unsupported save version: ${data.version}`;
+
+        const isCount = (value) => Number.isInteger(value) && value >= 0;
+        const isUint32 = (value) => isCount(value) && value <= 0xFFFFFFFF;
+        if (data.width !== Game.clampDimension(data.width) || data.height !== Game.clampDimension(data.height)) {
+            return 'Invalid board dimensions';
+        }
+        if (!Array.isArray(data.board) || data.board.length !== data.width * data.height) {
+            return 'Board does not match its dimensions';
+        }
+        if (!data.board.every((code) => parseTileCode(code) !== undefined)) return 'Invalid tile value';
+        if (typeof data.pack !== 'string' || !getPack(data.pack)) return `Unknown flavor pack: ${data.pack}`;
+        const rulesError = validateRules(data.rules, getPack(data.pack), data.board.length);
+        if (rulesError) return rulesError;
+        if (!isUint32(data.seed) || !isUint32(data.rngState)) return 'Invalid RNG state';
+        if (![data.score, data.moves, data.undoCount, data.hintCount].every(isCount)) return 'Invalid counters';
+        if (![data.won, data.gameOver, data.winModalShown].every((flag) => typeof flag === 'boolean')) {
+            return 'Invalid status flags';
+        }
+        if (!Number.isFinite(data.startedAt)) return 'Invalid start time';
+        if (data.mode === 'daily') {
+            if (typeof data.dailyDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(data.dailyDate)) {
+                return 'Invalid daily date';
+            }
+        } else if (data.mode !== 'classic' || data.dailyDate !== null) {
+            return 'Invalid game mode';
+        }
+        const directions = decodeDirections(data.moveLog?.directions);
+        const times = data.moveLog?.times;
+        if (!directions || directions.length !== data.moves) return 'Move log does not match move count';
+        if (!Array.isArray(times) || times.length !== directions.length || !times.every(isCount)) {
+            return 'Invalid move log times';
+        }
+        return null;
+    }
+
+    // Restore a save from serialize(); leaves the game untouched and returns
+    // false when the save is corrupted or from an incompatible version
+    restore(data) {
+        if (Game.validateSave(data) !== null) return false;
+
+        this.mode = data.mode;
+        this.dailyDate = data.dailyDate;
+        this.setPack(data.pack);
+        this.setDimensions(data.width, data.height);
+        this.setRules(data.rules);
+        this.setSeed(data.seed);
+        this.rng.setState(data.rngState);
+        this.board = boardFromCodes(data.board);
+        this.score = data.score;
+        this.moves = data.moves;
+        this.won = data.won;
+        this.gameOver = data.gameOver;
+        this.winModalShown = data.winModalShown;
+        this.undoCount = data.undoCount;
+        this.hintCount = data.hintCount;
+        this.startedAt = data.startedAt;
+        this.moveLog = decodeDirections(data.moveLog.directions)
+            .map((direction, i) => ({ direction, time: data.moveLog.times[i] }));
+        this.undoStack = [];
+        this.redoStack = [];
+        this.clearAnimationState();
+        this.emit('restore', this.describe());
+        return true;
     }
 
     // Get board state
     getBoardState() {
-        return this.board.map(index => index !== null ? this.getFlavorName(index) : null);
+        return this.board.map((tile) => this.getTileName(tile));
     }
 }
-
-// ==================== Initialize Game ====================
-let game = new Game();
@@ -0,0 +1,25 @@
+// ==================== Claimed Names ====================
+// Per-device tokens for claimed leaderboard names, keyed by lowercase name:
+// { token }. The server also issues a recovery code on a name's first score;
+// that one is shown once and never stored, so it stays off the device.
+const IDENTITIES_KEY = 'zeviaIdentities';
+
+function readIdentities() {
+    try {
+        const identities = JSON.parse(localStorage.getItem(IDENTITIES_KEY) || '{}');
+        return identities && typeof identities === 'object' ? identities : {};
+    } catch {
+        return {};
+    }
+}
+
+// { token } for a name, or null if this device has none
+export function getIdentity(username) {
+    return readIdentities()[username.toLowerCase()] || null;
+}
+
+export function saveIdentity(username, { token }) {
+    const identities = readIdentities();
+    identities[username.toLowerCase()] = { token };
+    localStorage.setItem(IDENTITIES_KEY, JSON.stringify(identities));
+}
@@ -0,0 +1,315 @@
+// ==================== Leaderboard Panel ====================
+// Side panel with the top scores, plus the name field in the game-end modal
+// that submits the finished game (to the daily board for daily runs). The
+// first page follows the live stream, so new scores slide in as they land.
+// The panel shows one difficulty's board, following the player's preset.
+import { ApiError, sanitizeUsername } from './api.js';
+import { DEFAULT_DIFFICULTY, DIFFICULTIES, difficultyLabel, isRanked } from './difficulty.js';
+import { DEFAULT_PACK_ID } from './flavor-packs.js';
+import { DEFAULT_BOARD_SIZE } from './game.js';
+import { LeaderboardClient, buildSubmission } from './leaderboard.js';
+import { LeaderboardStream } from './leaderboard-stream.js';
+
+const USERNAME_KEY = 'zeviaUsername';
+const SUBMITTED_KEY = 'zeviaSubmittedRuns';
+const MAX_REMEMBERED_RUNS = 20;
+const PANEL_LIMIT = 10;
+const AROUND_COUNT = 2;
+
+// Identifies an entry across live updates (public entries carry no id)
+const entryKey = (entry) => `${entry.username}|${entry.score}|${entry.moves}|${entry.createdAt}`;
+
+// Only the classic board is ranked, so every score on a board is comparable
+function onRankedBoard(game) {
+    return game.width === DEFAULT_BOARD_SIZE && game.height === DEFAULT_BOARD_SIZE && game.pack.id === DEFAULT_PACK_ID;
+}
+
+// Fill (or extend) a ranked list, highlighting the player's own entries.
+// Names are .player-link buttons that open the profile view.
+export function renderEntries(list, entries, username, { append = false } = {}) {
+    const own = username ? username.toLowerCase() : null;
+    if (!append) list.innerHTML = '';
+    entries.forEach((entry) => {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        const link = document.createElement('button');
+        const score = document.createElement('span');
+        name.className = 'mini-board-name';
+        name.textContent = `#${entry.rank} `;
+        link.className = 'player-link';
+        link.type = 'button';
+        link.dataset.username = entry.username;
+        link.textContent = entry.username;
+        name.appendChild(link);
+        score.className = 'mini-board-score';
+        score.textContent = entry.score;
+        item.classList.toggle('own', entry.username.toLowerCase() === own);
+        item.append(name, score);
+        list.appendChild(item);
+    });
+}
+
+export class LeaderboardPanel {
+    constructor(ui) {
+        this.ui = ui;
+        this.client = new LeaderboardClient();
+        this.list = document.getElementById('leaderboard-list');
+        this.panelStatus = document.getElementById('leaderboard-status');
+        this.refreshBtn = document.getElementById('leaderboard-refresh-btn');
+        this.moreBtn = document.getElementById('leaderboard-more-btn');
+        this.periodTabs = document.querySelectorAll('.period-tab[data-period]');
+        this.difficultyTabs = document.querySelectorAll('.period-tab[data-difficulty]');
+        this.period = 'all';
+        this.difficulty = DEFAULT_DIFFICULTY;
+        this.nextOffset = null;
+        this.liveIndicator = document.getElementById('leaderboard-live');
+        // First-page entries on screen, and whether later pages were opened
+        this.shown = [];
+        this.expanded = false;
+        this.form = document.getElementById('score-form');
+        this.usernameInput = document.getElementById('username-input');
+        this.statusDisplay = document.getElementById('score-status');
+        this.aroundList = document.getElementById('around-board');
+
+        this.usernameInput.value = this.getUsername();
+        this.refreshBtn.addEventListener('click', () => this.refresh());
+        this.moreBtn.addEventListener('click', () => this.loadMore());
+        this.periodTabs.forEach((tab) => {
+            tab.addEventListener('click', () => this.setPeriod(tab.dataset.period));
+        });
+        this.difficultyTabs.forEach((tab) => {
+            tab.addEventListener('click', () => this.setDifficulty(tab.dataset.difficulty));
+        });
+        this.selectTab(this.difficultyTabs, 'difficulty', this.boardDifficulty(ui.game));
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        window.addEventListener('online', () => this.sync());
+        this.sync();
+
+        this.stream = null;
+        if (LeaderboardStream.isSupported()) {
+            this.stream = new LeaderboardStream((period) => this.client.streamUrl(PANEL_LIMIT, period, this.difficulty), {
+                onUpdate: (data) => this.applyLive(data),
+                onStatus: (status) => this.setLiveStatus(status)
+            });
+            this.liveIndicator.classList.remove('hidden');
+            this.stream.connect(this.period);
+        }
+    }
+
+    getUsername() {
+        return localStorage.getItem(USERNAME_KEY) || '';
+    }
+
+    // Send anything queued while offline, then reload the panel
+    async sync() {
+        await this.client.flush();
+        this.ui.account.update();
+        await this.refresh();
+    }
+
+    // Board a game's scores rank on (Normal for custom rules)
+    boardDifficulty(game) {
+        return DIFFICULTIES.includes(game.rules.difficulty) ? game.rules.difficulty : DEFAULT_DIFFICULTY;
+    }
+
+    selectTab(tabs, key, value) {
+        this[key] = value;
+        tabs.forEach((tab) => {
+            const active = tab.dataset[key] === value;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', String(active));
+        });
+    }
+
+    setPeriod(period) {
+        this.selectTab(this.periodTabs, 'period', period);
+        this.refresh();
+        this.stream?.connect(period);
+    }
+
+    setDifficulty(difficulty) {
+        if (difficulty === this.difficulty) return;
+        this.selectTab(this.difficultyTabs, 'difficulty', difficulty);
+        this.refresh();
+        this.stream?.connect(this.period);
+    }
+
+    async refresh() {
+        const { period, difficulty } = this;
+        try {
+            const page = await this.client.fetchPage(PANEL_LIMIT, period, 0, difficulty);
+            // A slower response for a tab the player already left
+            if (period !== this.period || difficulty !== this.difficulty) return;
+            renderEntries(this.list, page.entries, this.getUsername());
+            this.shown = page.entries;
+            this.expanded = false;
+            this.setNextOffset(page.nextOffset);
+            this.panelStatus.textContent = page.entries.length ? '' : 'No scores yet. Be the first!';
+        } catch {
+            this.setNextOffset(null);
+            this.panelStatus.textContent = 'Leaderboard is offline.';
+        }
+        const pending = this.client.getQueue().length;
+        if (pending) this.panelStatus.textContent += ` ${pending} score(s) waiting to be sent.`;
+    }
+
+    // Append the next page below the current list
+    async loadMore() {
+        if (this.nextOffset === null) return;
+        const { period, difficulty } = this;
+        this.moreBtn.disabled = true;
+        try {
+            const page = await this.client.fetchPage(PANEL_LIMIT, period, this.nextOffset, difficulty);
+            if (period !== this.period || difficulty !== this.difficulty) return;
+            renderEntries(this.list, page.entries, this.getUsername(), { append: true });
+            this.expanded = true;
+            this.setNextOffset(page.nextOffset);
+        } catch {
+            this.panelStatus.textContent = 'Leaderboard is offline.';
+        } finally {
+            this.moreBtn.disabled = false;
+        }
+    }
+
+    // Snapshot or update from the live stream. New entries slide in and
+    // entries that climbed flash; once later pages are open the list is
+    // left alone, since re-rendering would drop them.
+    applyLive({ type, period, difficulty, total, entries, arrival }) {
+        if (period !== this.period || difficulty !== this.difficulty) return;
+        if (this.expanded) {
+            if (type === 'update') this.panelStatus.textContent = 'New scores are in. Refresh to see them.';
+            return;
+        }
+
+        const previous = new Map(this.shown.map((entry) => [entryKey(entry), entry.rank]));
+        renderEntries(this.list, entries, this.getUsername());
+        this.shown = entries;
+        this.setNextOffset(total > entries.length ? entries.length : null);
+        this.panelStatus.textContent = entries.length ? '' : 'No scores yet. Be the first!';
+        if (type !== 'update') return;
+
+        Array.from(this.list.children).forEach((item, i) => {
+            const before = previous.get(entryKey(entries[i]));
+            if (before === undefined) item.classList.add('arrival');
+            else if (before > entries[i].rank) item.classList.add('moved-up');
+        });
+        if (arrival) this.panelStatus.textContent = `${entries[arrival - 1].username} just placed #${arrival}!`;
+    }
+
+    setLiveStatus(status) {
+        this.liveIndicator.classList.toggle('connected', status === 'live');
+        this.liveIndicator.title = {
+            connecting: 'Connecting to live updates',
+            live: 'New scores appear as they are submitted',
+            offline: 'Live updates paused, reconnecting'
+        }[status];
+    }
+
+    setNextOffset(offset) {
+        this.nextOffset = offset;
+        this.moreBtn.classList.toggle('hidden', offset === null);
+    }
+
+    // One submission per run: daily runs by date, classic runs by seed + start time
+    runKey(game) {
+        return game.mode === 'daily' ? `daily:${game.dailyDate}` : `${game.seed}:${game.startedAt}`;
+    }
+
+    getSubmittedRuns() {
+        try {
+            const runs = JSON.parse(localStorage.getItem(SUBMITTED_KEY) || '[]');
+            return Array.isArray(runs) ? runs : [];
+        } catch {
+            return [];
+        }
+    }
+
+    markSubmitted(game) {
+        const runs = this.getSubmittedRuns().concat(this.runKey(game));
+        localStorage.setItem(SUBMITTED_KEY, JSON.stringify(runs.slice(-MAX_REMEMBERED_RUNS)));
+        this.form.classList.add('hidden');
+    }
+
+    // Called when the game-end modal opens. Daily runs are only submitted
+    // once they're over, since there's just the one attempt.
+    onGameEnd() {
+        const game = this.ui.game;
+        const submitted = this.getSubmittedRuns().includes(this.runKey(game));
+        this.form.classList.toggle('hidden', submitted || (game.mode === 'daily' && !game.gameOver));
+        this.usernameInput.value = this.getUsername();
+        this.statusDisplay.textContent = submitted ? 'Score submitted.' : '';
+        this.aroundList.innerHTML = '';
+        if (!submitted && onRankedBoard(game) && isRanked(game.rules) && game.mode !== 'daily') this.previewRank(game);
+    }
+
+    // "This score would place #N" before the player submits
+    async previewRank(game) {
+        try {
+            const { difficulty } = game.rules;
+            const { rank, total } = await this.client.fetchRank(game.score, game.moves, 'all', difficulty);
+            if (this.ui.game !== game || this.statusDisplay.textContent) return;
+            this.statusDisplay.textContent = `This score would place #${rank} of ${total + 1} on ${difficultyLabel(difficulty)}.`;
+        } catch {
+            // Offline: the form still works and queues the score
+        }
+    }
+
+    // Show who's just above and below a newly submitted entry
+    async showAround(id, difficulty) {
+        try {
+            const { entries } = await this.client.fetchAround(id, AROUND_COUNT, 'all', difficulty);
+            renderEntries(this.aroundList, entries, this.getUsername());
+        } catch {
+            this.aroundList.innerHTML = '';
+        }
+    }
+
+    async submit() {
+        const game = this.ui.game;
+        const username = sanitizeUsername(this.usernameInput.value);
+        if (!username) {
+            this.statusDisplay.textContent = 'Names are 3-16 letters, numbers, spaces, _ . or -';
+            return;
+        }
+        if (!onRankedBoard(game)) {
+            this.statusDisplay.textContent = `Only ${DEFAULT_BOARD_SIZE}x${DEFAULT_BOARD_SIZE} games with the classic flavors are ranked.`;
+            return;
+        }
+        if (!isRanked(game.rules)) {
+            this.statusDisplay.textContent = game.rules.blockers || game.rules.wildcardChance
+                ? 'Games with Empty cans or Mystery cans are not ranked.'
+                : 'Games with custom rules are not ranked.';
+            return;
+        }
+
+        // The server re-plays the moves to verify the score
+        const submission = buildSubmission(game, username);
+
+        localStorage.setItem(USERNAME_KEY, username);
+        this.statusDisplay.textContent = 'Submitting...';
+        let result;
+        try {
+            result = await this.client.submit(submission);
+            this.markSubmitted(game);
+            this.statusDisplay.textContent = result.queued
+                ? "You're offline. Your score will be sent when the leaderboard is back."
+                : `Score submitted!${result.rank ? ` You placed #${result.rank}.` : ''}`;
+            if (result.recoveryCode) {
+                this.statusDisplay.textContent += ` ${username} is now yours. Note your recovery code: ${result.recoveryCode}`;
+            }
+        } catch (err) {
+            // 409: this name already has today's daily score
+            if (err instanceof ApiError && err.status === 409) this.markSubmitted(game);
+            this.statusDisplay.textContent = err.message;
+            return;
+        }
+
+        if (game.mode === 'daily') this.ui.daily.loadBoard();
+        else if (result.id) this.showAround(result.id, game.rules.difficulty);
+        this.ui.account.update();
+        this.refresh();
+    }
+}
@@ -0,0 +1,86 @@
+// ==================== Live Leaderboard Stream ====================
+// Keeps one EventSource open on the backend's leaderboard stream and hands
+// every snapshot/update to onUpdate. EventSource retries dropped
+// connections by itself, but gives up for good after an error response and
+// can sit on a half-open socket forever; so a stream that closes, or goes
+// quiet for longer than a couple of server heartbeats, is reopened here
+// with exponential backoff.
+const HEARTBEAT_TIMEOUT_MS = 60_000;
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30_000;
+
+export class LeaderboardStream {
+    // urlFor(period) builds the stream URL; onStatus gets 'connecting',
+    // 'live' or 'offline'
+    constructor(urlFor, { onUpdate, onStatus = () => {} }) {
+        this.urlFor = urlFor;
+        this.onUpdate = onUpdate;
+        this.onStatus = onStatus;
+        this.source = null;
+        this.period = null;
+        this.retryDelay = MIN_RETRY_MS;
+        this.retryTimer = null;
+        this.watchdog = null;
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && 'EventSource' in window;
+    }
+
+    // (Re)open the stream for a leaderboard window
+    connect(period) {
+        this.close();
+        this.period = period;
+        this.onStatus('connecting');
+
+        const source = new EventSource(this.urlFor(period));
+        this.source = source;
+        const handle = (type) => (event) => {
+            if (this.source !== source) return;
+            this.retryDelay = MIN_RETRY_MS;
+            this.resetWatchdog();
+            this.onStatus('live');
+            if (type === 'heartbeat') return;
+            try {
+                this.onUpdate({ type, ...JSON.parse(event.data) });
+            } catch {
+                // Ignore a malformed event; the next one carries the full list
+            }
+        };
+        source.addEventListener('snapshot', handle('snapshot'));
+        source.addEventListener('update', handle('update'));
+        source.addEventListener('heartbeat', handle('heartbeat'));
+        source.addEventListener('error', () => {
+            if (this.source !== source) return;
+            this.onStatus('offline');
+            // CONNECTING means the browser is already retrying
+            if (source.readyState === EventSource.CLOSED) this.scheduleReconnect();
+        });
+        this.resetWatchdog();
+    }
+
+    close() {
+        clearTimeout(this.retryTimer);
+        clearTimeout(this.watchdog);
+        this.retryTimer = null;
+        this.watchdog = null;
+        if (this.source) this.source.close();
+        this.source = null;
+    }
+
+    resetWatchdog() {
+        clearTimeout(this.watchdog);
+        this.watchdog = setTimeout(() => {
+            this.onStatus('offline');
+            this.scheduleReconnect();
+        }, HEARTBEAT_TIMEOUT_MS);
+    }
+
+    scheduleReconnect() {
+        const period = this.period;
+        const delay = this.retryDelay;
+        this.close();
+        this.retryDelay = Math.min(MAX_RETRY_MS, delay * 2);
+        this.retryTimer = setTimeout(() => this.connect(period), delay);
+    }
+}
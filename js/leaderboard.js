@@ -0,0 +1,178 @@
+// ==================== Leaderboard Client ====================
+// Reads and submits scores through the backend API. Submissions that can't
+// reach the server are queued in localStorage and sent on a later flush().
+// Each difficulty preset has its own leaderboard.
+import { ApiError, apiRequest, getApiBase } from './api.js';
+import { DEFAULT_DIFFICULTY } from './difficulty.js';
+import { getIdentity, saveIdentity } from './identity.js';
+import { createReplay } from './replay.js';
+
+const QUEUE_KEY = 'zeviaPendingScores';
+const MAX_QUEUED = 20;
+
+// Worth retrying later: offline, rate-limited or a server-side failure
+function isRetryable(err) {
+    return !(err instanceof ApiError) || err.status === 429 || err.status >= 500;
+}
+
+// Endpoint and body for submitting a game
+export function buildSubmission(game, username) {
+    const replay = createReplay(game);
+    return {
+        path: game.mode === 'daily' ? `/api/daily/${game.dailyDate}` : '/api/leaderboard',
+        body: {
+            username,
+            score: game.score,
+            moves: game.moves,
+            maxTile: replay.maxTile,
+            undos: game.undoCount,
+            hints: game.hintCount,
+            replay
+        }
+    };
+}
+
+export class LeaderboardClient {
+    constructor() {
+        this.flushing = null;
+        // { username, code }: the last recovery code issued while the page
+        // has been open. Kept in memory only, to be shown once.
+        this.recoveryCode = null;
+    }
+
+    // One page of a leaderboard window ('day', 'week', 'month' or 'all'):
+    // { entries, total, nextOffset }
+    fetchPage(limit, period = 'all', offset = 0, difficulty = DEFAULT_DIFFICULTY) {
+        return apiRequest(`/api/leaderboard?limit=${limit}&period=${period}&offset=${offset}&difficulty=${difficulty}`);
+    }
+
+    async fetchTop(limit, period = 'all', difficulty = DEFAULT_DIFFICULTY) {
+        const data = await this.fetchPage(limit, period, 0, difficulty);
+        return data.entries;
+    }
+
+    // Rank a score would get right now: { rank, total }
+    fetchRank(score, moves, period = 'all', difficulty = DEFAULT_DIFFICULTY) {
+        return apiRequest(`/api/leaderboard/rank?score=${score}&moves=${moves}&period=${period}&difficulty=${difficulty}`);
+    }
+
+    // Stats and recent scores for a player (rejects with a 404 ApiError if none)
+    fetchProfile(username) {
+        return apiRequest(`/api/users/${encodeURIComponent(username)}`);
+    }
+
+    // The n entries either side of an entry on its difficulty's board:
+    // { rank, total, entries }
+    fetchAround(id, n, period = 'all', difficulty = DEFAULT_DIFFICULTY) {
+        return apiRequest(`/api/leaderboard/around/${encodeURIComponent(id)}?n=${n}&period=${period}&difficulty=${difficulty}`);
+    }
+
+    // Server-Sent Events URL with live top-`limit` updates for a window
+    streamUrl(limit, period = 'all', difficulty = DEFAULT_DIFFICULTY) {
+        return `${getApiBase()}/api/leaderboard/stream?limit=${limit}&period=${period}&difficulty=${difficulty}`;
+    }
+
+    async fetchDaily(date, limit) {
+        const data = await apiRequest(`/api/daily/${date}?limit=${limit}`);
+        return data.entries;
+    }
+
+    // POST a submission with this device's token for the name. A first
+    // submission claims the name; its new secrets are saved here.
+    async post(submission) {
+        const { username } = submission.body;
+        const result = await apiRequest(submission.path, {
+            method: 'POST',
+            body: submission.body,
+            token: getIdentity(username)?.token
+        });
+        this.remember(username, result);
+        return result;
+    }
+
+    // Save a newly issued token; a new recovery code is only held for display
+    remember(username, { token, recoveryCode }) {
+        if (token) saveIdentity(username, { token });
+        if (recoveryCode) this.recoveryCode = { username, code: recoveryCode };
+    }
+
+    // Move a claimed name's token to a new one (invalidates the old token)
+    async rotateToken(username) {
+        const result = await apiRequest(`/api/users/${encodeURIComponent(username)}/token`, {
+            method: 'POST',
+            token: getIdentity(username)?.token
+        });
+        this.remember(result.username, result);
+        return result;
+    }
+
+    // Take over a claimed name on this device; returns the new recovery code
+    async recover(username, recoveryCode) {
+        const result = await apiRequest(`/api/users/${encodeURIComponent(username)}/recover`, {
+            method: 'POST',
+            body: { recoveryCode }
+        });
+        this.remember(result.username, result);
+        return result;
+    }
+
+    // Resolves with the server's response, or { queued: true } when the
+    // server can't take it right now. Rejects with ApiError if it refuses.
+    async submit(submission) {
+        try {
+            return await this.post(submission);
+        } catch (err) {
+            if (!isRetryable(err)) throw err;
+            this.enqueue(submission);
+            return { queued: true };
+        }
+    }
+
+    getQueue() {
+        try {
+            const queue = JSON.parse(localStorage.getItem(QUEUE_KEY) || '[]');
+            return Array.isArray(queue) ? queue : [];
+        } catch {
+            return [];
+        }
+    }
+
+    setQueue(queue) {
+        if (queue.length) localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+        else localStorage.removeItem(QUEUE_KEY);
+    }
+
+    enqueue(submission) {
+        const queue = this.getQueue();
+        queue.push(submission);
+        this.setQueue(queue.slice(-MAX_QUEUED));
+    }
+
+    // Send queued submissions oldest first, stopping at the first one that
+    // still can't get through. Ones the server rejects are dropped.
+    // Resolves with the number sent.
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.sendQueued().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async sendQueued() {
+        let sent = 0;
+        while (this.getQueue().length) {
+            const [next] = this.getQueue();
+            try {
+                await this.post(next);
+                sent++;
+            } catch (err) {
+                if (isRetryable(err)) break;
+                console.warn('Dropping queued score the server rejected:', err.message);
+            }
+            this.setQueue(this.getQueue().slice(1));
+        }
+        return sent;
+    }
+}
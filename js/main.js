@@ -0,0 +1,27 @@
+// ==================== Bootstrap ====================
+import { Game } from './game.js';
+import { UI } from './ui.js';
+import { loadPacks } from './flavor-packs.js';
+
+// Register the flavor packs before the first game is built. Without them
+// only the built-in lineup is available, drawn as plain named tiles.
+try {
+    const { failures } = await loadPacks(async (file) => {
+        const response = await fetch(`assets/packs/${file}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+    });
+    failures.forEach((failure) => console.warn('Skipped flavor pack', failure));
+} catch (err) {
+    console.warn('Could not load flavor packs, using the built-in lineup', err);
+}
+
+const game = new Game();
+const ui = new UI(game);
+
+// Exposed for the console and the ?debug=1 logger. window.game follows the
+// displayed game (daily runs, replays). The pack fetch above can finish
+// after the page has loaded, so zevia:ready tells the logger when to start.
+Object.defineProperty(window, 'game', { get: () => ui.game, configurable: true });
+window.ui = ui;
+window.dispatchEvent(new Event('zevia:ready'));
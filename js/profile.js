@@ -0,0 +1,90 @@
+// ==================== Player Profiles ====================
+// Modal with a player's stats and recent scores, opened by clicking any
+// name in a leaderboard list.
+import { ApiError } from './api.js';
+import { DEFAULT_DIFFICULTY, difficultyLabel } from './difficulty.js';
+
+export class ProfileView {
+    constructor(ui) {
+        this.ui = ui;
+        this.modal = document.getElementById('profile-modal');
+        this.nameDisplay = document.getElementById('profile-name');
+        this.statusDisplay = document.getElementById('profile-status');
+        this.stats = document.getElementById('profile-stats');
+        this.history = document.getElementById('profile-history');
+        this.closeBtn = document.getElementById('profile-close-btn');
+        this.username = null;
+
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.player-link');
+            if (link) this.open(link.dataset.username);
+        });
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) this.close();
+        });
+    }
+
+    isOpen() {
+        return !this.modal.classList.contains('hidden');
+    }
+
+    async open(username) {
+        this.username = username;
+        this.nameDisplay.textContent = username;
+        this.statusDisplay.textContent = 'Loading...';
+        this.stats.innerHTML = '';
+        this.history.innerHTML = '';
+        this.modal.classList.remove('hidden');
+
+        let profile;
+        try {
+            profile = await this.ui.leaderboard.client.fetchProfile(username);
+        } catch (err) {
+            if (this.username !== username) return;
+            this.statusDisplay.textContent = err instanceof ApiError ? err.message : 'Leaderboard is offline.';
+            return;
+        }
+        if (this.username !== username) return;
+        this.render(profile);
+    }
+
+    close() {
+        this.username = null;
+        this.modal.classList.add('hidden');
+    }
+
+    render(profile) {
+        this.nameDisplay.textContent = profile.username;
+        this.statusDisplay.textContent = '';
+
+        const stats = [
+            ['Best Score', profile.bestScore],
+            ['Best Rank', profile.bestRank ? `#${profile.bestRank} (${difficultyLabel(profile.bestDifficulty)})` : '-'],
+            ['Games', profile.gamesSubmitted],
+            ['Avg. Moves', profile.averageMoves],
+            ['Top Flavor', profile.maxFlavor || '-']
+        ];
+        stats.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            const detail = document.createElement('dd');
+            term.textContent = label;
+            detail.textContent = value;
+            this.stats.append(term, detail);
+        });
+
+        profile.recent.forEach((entry) => {
+            const item = document.createElement('li');
+            const when = document.createElement('span');
+            const score = document.createElement('span');
+            when.className = 'mini-board-name';
+            when.textContent = `${new Date(entry.createdAt).toLocaleDateString()} · ${entry.flavor || '-'}`;
+            if (entry.difficulty !== DEFAULT_DIFFICULTY) when.textContent += ` · ${difficultyLabel(entry.difficulty)}`;
+            if (entry.assisted) when.textContent += ' (assisted)';
+            score.className = 'mini-board-score';
+            score.textContent = entry.score;
+            item.append(when, score);
+            this.history.appendChild(item);
+        });
+    }
+}
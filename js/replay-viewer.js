@@ -0,0 +1,142 @@
+// ==================== Replay Viewer ====================
+// Plays a replay on its own Game through the regular UI, so steps reuse the
+// normal slide/merge/spawn animations. The live game is parked meanwhile and
+// handed back on exit.
+import { getReplayDirections, replayGame, validateReplay } from './replay.js';
+
+const MIN_STEP_MS = 120; // Never faster than the slide+spawn animation
+const MAX_STEP_MS = 2000; // Don't make viewers wait through long thinks
+const DEFAULT_STEP_MS = 400; // For replays without timestamps
+
+export class ReplayViewer {
+    constructor(ui) {
+        this.ui = ui;
+        this.bar = document.getElementById('replay-bar');
+        this.progressDisplay = document.getElementById('replay-progress');
+        this.backBtn = document.getElementById('replay-back-btn');
+        this.playBtn = document.getElementById('replay-play-btn');
+        this.forwardBtn = document.getElementById('replay-forward-btn');
+        this.speedSelect = document.getElementById('replay-speed');
+        this.exitBtn = document.getElementById('replay-exit-btn');
+
+        this.active = false;
+        this.playing = false;
+        this.replay = null;
+        this.directions = [];
+        this.liveGame = null;
+        this.playTimer = null;
+
+        this.backBtn.addEventListener('click', () => {
+            this.pause();
+            this.stepBack();
+        });
+        this.forwardBtn.addEventListener('click', () => {
+            this.pause();
+            this.stepForward();
+        });
+        this.playBtn.addEventListener('click', () => this.togglePlay());
+        this.exitBtn.addEventListener('click', () => this.close());
+    }
+
+    // Start viewing a replay; returns an error string if it can't be played
+    open(replay) {
+        const error = validateReplay(replay);
+        if (error) return error;
+
+        if (!this.active) this.liveGame = this.ui.game;
+        this.pause();
+        this.replay = replay;
+        this.directions = getReplayDirections(replay);
+        this.active = true;
+        this.ui.setGame(replayGame(replay), { persist: false });
+        this.ui.gameBoard.parentElement.classList.add('replaying');
+        this.bar.classList.remove('hidden');
+        this.updateControls();
+        return null;
+    }
+
+    close() {
+        if (!this.active) return;
+        this.pause();
+        this.active = false;
+        this.replay = null;
+        this.directions = [];
+        this.bar.classList.add('hidden');
+        this.ui.gameBoard.parentElement.classList.remove('replaying');
+        this.ui.setGame(this.liveGame);
+        this.liveGame = null;
+    }
+
+    get position() {
+        return this.ui.game.moves;
+    }
+
+    stepForward() {
+        if (this.position >= this.directions.length) return false;
+        if (this.ui.isAnimating) this.ui.interruptAnimations();
+        const moved = this.ui.executeMove(this.directions[this.position]);
+        if (!moved) {
+            // Only possible for a hand-edited replay: stop rather than desync
+            this.pause();
+            console.warn(`Replay move ${this.position + 1} is not legal; stopping playback`);
+        }
+        this.updateControls();
+        return moved;
+    }
+
+    stepBack() {
+        if (this.position === 0) return false;
+        this.ui.interruptAnimations();
+        this.ui.game.undo();
+        this.ui.syncBoardToState();
+        this.ui.updateStats();
+        this.updateControls();
+        return true;
+    }
+
+    togglePlay() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+
+    play() {
+        if (this.position >= this.directions.length) return;
+        this.playing = true;
+        this.scheduleStep();
+        this.updateControls();
+    }
+
+    pause() {
+        this.playing = false;
+        if (this.playTimer) {
+            clearTimeout(this.playTimer);
+            this.playTimer = null;
+        }
+        this.updateControls();
+    }
+
+    // Wait roughly as long as the player did, scaled by the chosen speed
+    scheduleStep() {
+        const speed = parseFloat(this.speedSelect.value) || 1;
+        const recorded = this.replay.times?.[this.position] ?? DEFAULT_STEP_MS;
+        const delay = Math.max(MIN_STEP_MS, Math.min(MAX_STEP_MS, recorded / speed));
+        this.playTimer = setTimeout(() => {
+            this.playTimer = null;
+            if (!this.playing) return;
+            if (!this.stepForward() || this.position >= this.directions.length) {
+                this.pause();
+                return;
+            }
+            this.scheduleStep();
+        }, delay);
+    }
+
+    updateControls() {
+        if (!this.active) return;
+        const total = this.directions.length;
+        this.progressDisplay.textContent = `${this.position} / ${total}`;
+        this.backBtn.disabled = this.position === 0;
+        this.forwardBtn.disabled = this.position >= total;
+        this.playBtn.textContent = this.playing ? 'Pause' : 'Play';
+    }
+}
@@ -0,0 +1,137 @@
+// ==================== Replays ====================
+// A replay is everything needed to re-create a game exactly:
+//   { v, seed, rules, moves: 'LURD...', times: [ms between moves], score, maxTile, assists, createdAt }
+// The seed and rules (board size, flavor pack and the difficulty rules from
+// getRules()) rebuild the opening board, and the seeded RNG makes every
+// spawn after each move deterministic. DOM-free so the backend can
+// re-simulate submissions with the same code.
+import { Game, encodeDirections, decodeDirections } from './game.js';
+import { DEFAULT_PACK_ID, getPack } from './flavor-packs.js';
+import { validateRules } from './difficulty.js';
+
+export const REPLAY_VERSION = 1;
+const MAX_REPLAY_MOVES = 100_000;
+
+// Snapshot the game's effective move list as a replay
+export function createReplay(game) {
+    const log = game.getMoveLog();
+    const times = log.map((entry, i) => Math.max(0, entry.time - (i > 0 ? log[i - 1].time : 0)));
+    return {
+        v: REPLAY_VERSION,
+        seed: game.seed,
+        rules: game.getRules(),
+        moves: encodeDirections(log.map((entry) => entry.direction)),
+        times,
+        score: game.score,
+        maxTile: getMaxTile(game),
+        assists: { undos: game.undoCount, hints: game.hintCount },
+        createdAt: Date.now()
+    };
+}
+
+// Returns an error string, or null if the replay is well-formed
+export function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object') return 'Replay is not an object';
+    if (replay.v !== REPLAY_VERSION) return `Unsupported replay version: ${replay.v}`;
+    if (!Number.isInteger(replay.seed) || replay.seed < 0 || replay.seed > 0xFFFFFFFF) return 'Invalid seed';
+    if (!replay.rules || typeof replay.rules !== 'object') return 'Missing rules';
+    const { width, height } = replay.rules;
+    if (width !== Game.clampDimension(width) || height !== Game.clampDimension(height)) {
+        return 'Invalid board dimensions';
+    }
+    // Replays from before flavor packs have no pack: the default lineup
+    if (replay.rules.pack !== undefined && (typeof replay.rules.pack !== 'string' || !getPack(replay.rules.pack))) {
+        return 'Unknown flavor pack';
+    }
+    // Replays from before difficulty presets have no spawn rules: Normal
+    const rulesError = validateRules(replay.rules, getPack(replay.rules.pack ?? DEFAULT_PACK_ID), width * height);
+    if (rulesError) return rulesError;
+
+    const directions = decodeDirections(replay.moves);
+    if (!directions) return 'Invalid move list';
+    if (directions.length > MAX_REPLAY_MOVES) return 'Too many moves';
+    if (replay.times !== undefined) {
+        if (!Array.isArray(replay.times) || replay.times.length !== directions.length) {
+            return 'Move times do not match the move list';
+        }
+        if (!replay.times.every((time) => Number.isInteger(time) && time >= 0)) return 'Invalid move time';
+    }
+    if (replay.assists !== undefined) {
+        const { undos, hints } = replay.assists || {};
+        if (![undos, hints].every((count) => Number.isInteger(count) && count >= 0)) return 'Invalid assist counts';
+    }
+    return null;
+}
+
+// Play a replay's moves (optionally only the first `until`) on a fresh Game.
+// Returns { game, error }; error is set when the replay is malformed or a
+// recorded move does not change the board, which a real game never logs.
+export function simulateReplay(replay, { until = Infinity } = {}) {
+    const error = validateReplay(replay);
+    if (error) return { game: null, error };
+
+    const game = replayGame(replay);
+    const directions = decodeDirections(replay.moves);
+    const count = Math.min(until, directions.length);
+    for (let i = 0; i < count; i++) {
+        if (!game.move(directions[i])) {
+            return { game, error: `Move ${i + 1} (${directions[i]}) is not legal` };
+        }
+    }
+    return { game, error: null };
+}
+
+// Fresh game at a replay's opening board (the replay must be valid)
+export function replayGame(replay) {
+    const { width, height, pack } = replay.rules;
+    return new Game({ width, height, pack, rules: replay.rules, seed: replay.seed });
+}
+
+// Re-simulate a replay and check it reproduces the claimed result. Returns
+// { game, error }; error is set when the replay is invalid, the recomputed
+// score, move count or max tile (if claimed) differ from the claim, or the
+// claimed undos and hints aren't the ones the replay recorded (undone moves
+// and hints leave no trace in the move list, so only the counts can agree).
+export function verifyReplay(replay, { score, moves, maxTile = null, undos = 0, hints = 0 }) {
+    const { game, error } = simulateReplay(replay);
+    if (error) return { game, error };
+    if (game.score !== score) return { game, error: `Score ${score} does not match the replay (${game.score})` };
+    if (game.moves !== moves) return { game, error: `Move count ${moves} does not match the replay (${game.moves})` };
+    if (maxTile !== null && maxTile !== getMaxTile(game)) {
+        return { game, error: `Max tile ${maxTile} does not match the replay (${getMaxTile(game)})` };
+    }
+    const assists = replay.assists || { undos: 0, hints: 0 };
+    if (undos !== assists.undos || hints !== assists.hints) {
+        return { game, error: `Undo and hint counts (${undos}, ${hints}) do not match the replay (${assists.undos}, ${assists.hints})` };
+    }
+    return { game, error: null };
+}
+
+// Highest flavor index on the board (null on an empty board)
+export function getMaxTile(game) {
+    return game.getMaxTile();
+}
+
+export function getReplayDirections(replay) {
+    return decodeDirections(replay.moves) || [];
+}
+
+// URL-safe base64 of the replay JSON, for ?replay= links
+export function encodeReplayParam(replay) {
+    const bytes = new TextEncoder().encode(JSON.stringify(replay));
+    let binary = '';
+    bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Inverse of encodeReplayParam; returns null for anything unreadable
+export function decodeReplayParam(param) {
+    try {
+        const base64 = param.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+        const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,54 @@
+// ==================== Seeded RNG ====================
+// Mulberry32 PRNG: tiny, fast, and its whole state is a single 32-bit
+// integer, so a game can be reproduced from its seed and resumed from a
+// saved state.
+export class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Fresh unsigned 32-bit seed for games started without one
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // Accept numbers, numeric strings or any text (hashed with FNV-1a)
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(Math.abs(seed)) >>> 0;
+        }
+
+        const text = String(seed ?? '').trim();
+        if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Next float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Next integer in [0, max)
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
@@ -0,0 +1,65 @@
+// ==================== Solver Client ====================
+// Promise wrapper around the solver worker. Falls back to solving on the
+// main thread where module workers are unavailable.
+import { findBestMove } from './solver.js';
+
+export class SolverClient {
+    constructor({ depth = 2 } = {}) {
+        this.depth = depth;
+        this.nextId = 1;
+        this.pending = new Map(); // Request id -> resolve
+        this.worker = null;
+
+        if (typeof Worker === 'function') {
+            try {
+                this.worker = new Worker(new URL('./solver-worker.js', import.meta.url), { type: 'module' });
+                this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+                this.worker.addEventListener('error', (e) => this.handleWorkerError(e));
+            } catch (err) {
+                console.warn('Solver worker unavailable, solving on the main thread', err);
+                this.worker = null;
+            }
+        }
+    }
+
+    // Resolves to { direction, scores } for the game's current board
+    suggest(game) {
+        const request = {
+            board: game.board.slice(),
+            width: game.width,
+            height: game.height,
+            spawn: game.rules.spawn,
+            blockers: game.rules.blockers,
+            wildcardChance: game.rules.wildcardChance,
+            depth: this.depth
+        };
+
+        if (!this.worker) {
+            return Promise.resolve(findBestMove(request, { depth: request.depth }));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve) => {
+            this.pending.set(id, { resolve, request });
+            this.worker.postMessage({ id, ...request });
+        });
+    }
+
+    handleMessage(data) {
+        const entry = this.pending.get(data.id);
+        if (!entry) return;
+        this.pending.delete(data.id);
+        entry.resolve({ direction: data.direction, scores: data.scores });
+    }
+
+    // A broken worker should not strand callers: answer them inline instead
+    handleWorkerError(e) {
+        console.warn('Solver worker failed, solving on the main thread', e);
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.pending.forEach(({ resolve, request }) => {
+            resolve(findBestMove(request, { depth: request.depth }));
+        });
+        this.pending.clear();
+    }
+}
@@ -0,0 +1,11 @@
+// ==================== Solver Worker ====================
+// Runs expectimax off the main thread so board animations stay smooth.
+// Request:  { id, board, width, height, spawn, blockers, wildcardChance, depth }
+// Response: { id, direction, scores }
+import { findBestMove } from './solver.js';
+
+self.addEventListener('message', (event) => {
+    const { id, board, width, height, spawn, blockers, wildcardChance, depth } = event.data;
+    const result = findBestMove({ board, width, height, spawn, blockers, wildcardChance }, { depth });
+    self.postMessage({ id, ...result });
+});
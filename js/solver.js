@@ -0,0 +1,195 @@
+// ==================== Expectimax Solver ====================
+// Scores the four directions for a board by alternating player moves (max
+// nodes) with tile spawns (chance nodes), then rating the leaves with the
+// usual 2048 heuristics. Pure and DOM-free so it runs in a Web Worker.
+import { Game } from './game.js';
+import { getPack } from './flavor-packs.js';
+import { WILDCARD_TILE, boardKey, flavorTile, tierOf } from './tiles.js';
+
+export const DIRECTIONS = ['up', 'left', 'right', 'down'];
+
+// Mirrors Game.addNewTile(): a wildcard with probability wildcardChance,
+// otherwise the pack's common tier, or its rare one with probability
+// rareChance (90% Cola, 10% Dr. Zevia by default)
+function spawnDistribution({ tiers, rareChance }, wildcardChance) {
+    const flavors = [
+        { tile: flavorTile(tiers[0]), probability: (1 - wildcardChance) * (1 - rareChance) },
+        { tile: flavorTile(tiers[1]), probability: (1 - wildcardChance) * rareChance }
+    ];
+    return wildcardChance > 0 ? [{ tile: WILDCARD_TILE, probability: wildcardChance }, ...flavors] : flavors;
+}
+
+const DEFAULT_DEPTH = 2;
+const PROBABILITY_CUTOFF = 0.0001; // Skip spawn branches this unlikely
+const MAX_SPAWN_CELLS = 6; // Sample at most this many empty cells per chance node
+
+const WEIGHTS = {
+    empty: 2.7,
+    monotonicity: 1.0,
+    smoothness: 0.1,
+    maxTile: 1.0,
+    corner: 1.5
+};
+
+// Tiers score like mergePoints: a merge into tier t is worth 2^t (half when
+// a wildcard is in it). The heuristics work in log2 value, shifted up one so
+// an empty cell (0) ranks below tier 0: rank = tier + 1. Wildcards and empty
+// cans rank 0 like empty cells but don't count as free space.
+const rank = (tile) => {
+    const tier = tierOf(tile);
+    return tier === null ? 0 : tier + 1;
+};
+
+export class Solver {
+    constructor({
+        width, height, depth = DEFAULT_DEPTH, spawn = getPack().spawn, blockers = null, wildcardChance = 0
+    } = {}) {
+        this.depth = depth;
+        this.spawns = spawnDistribution(spawn, wildcardChance);
+        // Scratch engine used only for its slide/merge rules. Empty cans
+        // landing isn't modelled, but merges that clear them are.
+        this.sim = new Game({ width, height, seed: 0, historyLimit: 0 });
+        this.sim.rules = { ...this.sim.rules, blockers };
+        this.width = this.sim.width;
+        this.height = this.sim.height;
+        this.cache = new Map();
+    }
+
+    // Board after sliding in a direction (null if nothing moves)
+    slide(board, direction) {
+        const sim = this.sim;
+        sim.board = board.slice();
+        sim.score = 0;
+        sim.clearAnimationState();
+        sim.shift(direction);
+        return sim.boardsEqual(board, sim.board) ? null : sim.board.slice();
+    }
+
+    // Best direction for a board plus the expected value of each direction
+    findBestMove(board) {
+        this.cache.clear();
+        const scores = {};
+        let direction = null;
+        let best = -Infinity;
+
+        DIRECTIONS.forEach((candidate) => {
+            const next = this.slide(board, candidate);
+            if (!next) return;
+            const value = this.chanceNode(next, this.depth, 1);
+            scores[candidate] = value;
+            if (value > best) {
+                best = value;
+                direction = candidate;
+            }
+        });
+
+        return { direction, scores };
+    }
+
+    maxNode(board, depth, probability) {
+        let best = -Infinity;
+        DIRECTIONS.forEach((direction) => {
+            const next = this.slide(board, direction);
+            if (!next) return;
+            best = Math.max(best, this.chanceNode(next, depth, probability));
+        });
+        // No legal move: a lost position
+        return best === -Infinity ? -1e6 : best;
+    }
+
+    chanceNode(board, depth, probability) {
+        if (depth <= 0 || probability < PROBABILITY_CUTOFF) return this.evaluate(board);
+
+        const key = `${depth}:${boardKey(board)}`;
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        let empty = [];
+        board.forEach((tile, index) => {
+            if (tile === null) empty.push(index);
+        });
+        if (empty.length === 0) return this.evaluate(board);
+        if (empty.length > MAX_SPAWN_CELLS) {
+            // Evenly spaced sample keeps wide boards tractable
+            const step = empty.length / MAX_SPAWN_CELLS;
+            empty = Array.from({ length: MAX_SPAWN_CELLS }, (_, i) => empty[Math.floor(i * step)]);
+        }
+
+        let total = 0;
+        empty.forEach((index) => {
+            this.spawns.forEach((spawn) => {
+                const branchProbability = probability * spawn.probability / empty.length;
+                const next = board.slice();
+                next[index] = spawn.tile;
+                total += spawn.probability * this.maxNode(next, depth - 1, branchProbability);
+            });
+        });
+
+        const value = total / empty.length;
+        this.cache.set(key, value);
+        return value;
+    }
+
+    // Heuristic value of a board (higher is better)
+    evaluate(board) {
+        const { width, height } = this;
+        let empty = 0;
+        let maxRank = 0;
+        let smoothness = 0;
+
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                const tile = board[row * width + col];
+                if (tile === null) empty++;
+                const value = rank(tile);
+                if (value === 0) continue;
+                maxRank = Math.max(maxRank, value);
+                if (col < width - 1) {
+                    const right = rank(board[row * width + col + 1]);
+                    if (right) smoothness -= Math.abs(value - right);
+                }
+                if (row < height - 1) {
+                    const down = rank(board[(row + 1) * width + col]);
+                    if (down) smoothness -= Math.abs(value - down);
+                }
+            }
+        }
+
+        const corners = [0, width - 1, (height - 1) * width, height * width - 1];
+        const inCorner = corners.some((index) => rank(board[index]) === maxRank);
+
+        return WEIGHTS.empty * Math.log(empty + 1) * maxRank
+            + WEIGHTS.monotonicity * this.monotonicity(board)
+            + WEIGHTS.smoothness * smoothness
+            + WEIGHTS.maxTile * maxRank
+            + (inCorner ? WEIGHTS.corner * maxRank : 0);
+    }
+
+    // Penalty for rows/columns that are not sorted in one direction
+    monotonicity(board) {
+        const { width, height } = this;
+        let total = 0;
+        const lineScore = (ranks) => {
+            let increasing = 0;
+            let decreasing = 0;
+            for (let i = 0; i < ranks.length - 1; i++) {
+                const diff = ranks[i + 1] - ranks[i];
+                if (diff > 0) decreasing -= diff;
+                else increasing += diff;
+            }
+            return Math.max(increasing, decreasing);
+        };
+
+        for (let row = 0; row < height; row++) {
+            total += lineScore(this.sim.getRowIndices(row).map((index) => rank(board[index])));
+        }
+        for (let col = 0; col < width; col++) {
+            total += lineScore(this.sim.getColumnIndices(col).map((index) => rank(board[index])));
+        }
+        return total;
+    }
+}
+
+// One-shot helper: best move for a { board, width, height } state
+export function findBestMove({ board, width, height, spawn, blockers, wildcardChance }, options = {}) {
+    return new Solver({ width, height, spawn, blockers, wildcardChance, depth: options.depth }).findBestMove(board);
+}
@@ -0,0 +1,81 @@
+// ==================== Tiles ====================
+// A board cell is null (empty) or a tile { kind, tier }:
+//   'flavor'    a can of flavor index `tier` (Prestige tiers keep counting up)
+//   'wildcard'  the Mystery Flavor can: merges with any flavor next to it
+//               and upgrades it one tier (tier is null)
+//   'blocker'   an empty can (Empty Cans variant): never moves or merges
+//               and stops tiles sliding past it (tier is null)
+// Tiles are never mutated, so boards can be copied with slice(). Saves store
+// boards as codes: the tier for a flavor, '?' for a wildcard, 'X' for an
+// empty can and null for an empty cell. DOM-free like the engine.
+
+export const FLAVOR = 'flavor';
+export const WILDCARD = 'wildcard';
+export const BLOCKER = 'blocker';
+
+export const WILDCARD_NAME = 'Mystery Flavor';
+export const BLOCKER_NAME = 'Empty can';
+
+export const WILDCARD_TILE = Object.freeze({ kind: WILDCARD, tier: null });
+export const BLOCKER_TILE = Object.freeze({ kind: BLOCKER, tier: null });
+
+const CODES = { [WILDCARD]: '?', [BLOCKER]: 'X' };
+const CODE_TILES = { '?': WILDCARD_TILE, X: BLOCKER_TILE };
+
+export function flavorTile(tier) {
+    return { kind: FLAVOR, tier };
+}
+
+// Flavor index of a tile (null for empty cells, wildcards and empty cans)
+export function tierOf(tile) {
+    return tile?.kind === FLAVOR ? tile.tier : null;
+}
+
+export function isWildcard(tile) {
+    return tile?.kind === WILDCARD;
+}
+
+export function isBlocker(tile) {
+    return tile?.kind === BLOCKER;
+}
+
+export function sameTile(a, b) {
+    if (a === null || b === null) return a === b;
+    return a.kind === b.kind && a.tier === b.tier;
+}
+
+// Tier two tiles merge into, or null if they don't merge: equal flavors
+// make the next flavor, and a wildcard upgrades the flavor next to it.
+// Two wildcards don't merge.
+export function mergeTier(a, b) {
+    if (tierOf(a) !== null && sameTile(a, b)) return a.tier + 1;
+    if (isWildcard(a) && tierOf(b) !== null) return b.tier + 1;
+    if (isWildcard(b) && tierOf(a) !== null) return a.tier + 1;
+    return null;
+}
+
+export function tileCode(tile) {
+    if (tile === null) return null;
+    return tile.kind === FLAVOR ? tile.tier : CODES[tile.kind];
+}
+
+// Inverse of tileCode(); undefined for anything that isn't a code
+export function parseTileCode(code) {
+    if (code === null) return null;
+    if (Number.isInteger(code) && code >= 0) return flavorTile(code);
+    return CODE_TILES[code];
+}
+
+export function boardToCodes(board) {
+    return board.map(tileCode);
+}
+
+// Board from codes (the codes must be valid)
+export function boardFromCodes(codes) {
+    return codes.map(parseTileCode);
+}
+
+// Compact string identifying a board's contents (cache keys, change checks)
+export function boardKey(board) {
+    return boardToCodes(board).join();
+}
@@ -1,6 +1,30 @@
 // ==================== UI Controller ====================
-class UI {
-    constructor() {
+import { Game } from './game.js';
+import { SolverClient } from './solver-client.js';
+import { ReplayViewer } from './replay-viewer.js';
+import { DailyChallenge } from './daily.js';
+import { LeaderboardPanel } from './leaderboard-panel.js';
+import { ProfileView } from './profile.js';
+import { AccountPanel } from './account.js';
+import { FlavorPackView } from './flavor-pack-view.js';
+import { DEFAULT_PACK_ID } from './flavor-packs.js';
+import { DEFAULT_DIFFICULTY, DIFFICULTIES, WILDCARD_CHANCE } from './difficulty.js';
+import { createReplay, decodeReplayParam } from './replay.js';
+import { BLOCKER_TILE, boardKey, flavorTile, isBlocker, isWildcard, tierOf } from './tiles.js';
+
+// Inputs that don't take typed text, so the board keys still work on them
+const NON_TEXT_INPUTS = new Set(['button', 'checkbox', 'color', 'file', 'radio', 'range', 'reset', 'submit']);
+
+// Whether a key event comes from somewhere the player is typing text
+function isEditable(target) {
+    if (!(target instanceof HTMLElement)) return false;
+    if (target.tagName === 'INPUT') return !NON_TEXT_INPUTS.has(target.type);
+    return target.tagName === 'TEXTAREA' || target.isContentEditable;
+}
+
+export class UI {
+    constructor(game) {
+        this.game = game;
         this.gameBoard = document.getElementById('game-board');
         this.scoreDisplay = document.getElementById('score');
         this.movesDisplay = document.getElementById('moves');
@@ -8,9 +32,23 @@ class UI {
         this.newGameBtn = document.getElementById('new-game-btn');
         this.continueBtn = document.getElementById('continue-btn');
         this.newGameBtnModal = document.getElementById('new-game-btn-modal');
+        this.undoBtn = document.getElementById('undo-btn');
+        this.redoBtn = document.getElementById('redo-btn');
+        this.undoBtnModal = document.getElementById('undo-btn-modal');
+        this.hintBtn = document.getElementById('hint-btn');
+        this.autoplayBtn = document.getElementById('autoplay-btn');
+        this.autoplaySpeedSelect = document.getElementById('autoplay-speed');
+        this.saveReplayBtn = document.getElementById('save-replay-btn');
+        this.loadReplayBtn = document.getElementById('load-replay-btn');
+        this.replayFileInput = document.getElementById('replay-file-input');
         this.gameOverModal = document.getElementById('game-over-modal');
         this.modalTitle = document.getElementById('modal-title');
         this.finalScoreDisplay = document.getElementById('final-score');
+        this.boardSizeSelect = document.getElementById('board-size-select');
+        this.difficultySelect = document.getElementById('difficulty-select');
+        this.blockersToggle = document.getElementById('blockers-toggle');
+        this.wildcardsToggle = document.getElementById('wildcards-toggle');
+        this.seedDisplay = document.getElementById('seed-display');
 
         this.tiles = new Map(); // Map index to DOM element
         this.previousBoardState = []; // Track previous state for animations
@@ -21,66 +59,94 @@ class UI {
         this.pendingDirections = [];
         this.debug = false; // set to true to enable origin->target logging
         this.mergeGhosts = [];
-        this.layoutStride = 0;
+        this.layoutStride = { x: 0, y: 0 };
         this.layoutDirty = true;
         this.touchStartX = null;
         this.touchStartY = null;
         this.touchStartTime = 0;
-        this.flavorImagePaths = [
-            'assets/images/cola.webp',
-            'assets/images/dr-zevia.webp',
-            'assets/images/ginger-ale.webp',
-            'assets/images/black-cherry.webp',
-            'assets/images/lemon-lime.webp',
-            'assets/images/orange.webp',
-            'assets/images/grape.webp',
-            'assets/images/cream-soda.webp',
-            'assets/images/cherry-cola.webp',
-            'assets/images/creamy-root-beer.webp',
-            'assets/images/ginger-root-beer.webp',
-            'assets/images/cran-raspberry.webp',
-            'assets/images/vanilla-cola.webp',
-            'assets/images/salted-caramel.webp',
-            'assets/images/orange-creamsicle.webp'
-        ];
+        this.solver = new SolverClient();
+        this.autoplayActive = false;
+        this.autoplayTimer = null;
+        this.gameSubscriptions = [];
+        this.flavorPacks = new FlavorPackView(this);
 
         this.loadBestScore();
-        this.preloadFlavorImages();
+        this.bindGameEvents();
+        if (!this.loadSavedGame()) {
+            this.game.reset({
+                width: this.loadBoardSize(),
+                pack: this.flavorPacks.loadPackId(),
+                rules: { difficulty: this.loadDifficulty(), ...this.loadVariants() },
+                seed: this.getSeedFromUrl()
+            });
+        }
+        this.boardSizeSelect.value = String(this.game.width);
         this.initEventListeners();
         this.initializeBoard();
+        this.replayViewer = new ReplayViewer(this);
+        this.leaderboard = new LeaderboardPanel(this);
+        this.profile = new ProfileView(this);
+        this.account = new AccountPanel(this);
+        this.daily = new DailyChallenge(this);
         this.render();
+        this.checkGameEnd();
+        if (new URLSearchParams(window.location.search).get('daily') === '1') this.daily.start();
+        this.loadReplayFromUrl();
     }
 
-    preloadFlavorImages() {
-        const critical = this.flavorImagePaths.slice(0, 3);
-        const deferred = this.flavorImagePaths.slice(3);
-        const warm = (path) => {
-            const img = new Image();
-            img.src = path;
-            if (typeof img.decode === 'function') {
-                img.decode().catch(() => {
-                    // Ignore decode failures; browser will still fetch/cache image bytes.
-                });
-            }
-        };
+    // Keep the saved game in sync with every engine state change
+    bindGameEvents() {
+        const persist = () => this.saveGame();
+        this.gameSubscriptions = ['move', 'undo', 'redo', 'reset', 'hint']
+            .map((event) => this.game.on(event, persist));
+    }
 
-        critical.forEach(warm);
+    unbindGameEvents() {
+        this.gameSubscriptions.forEach((unsubscribe) => unsubscribe());
+        this.gameSubscriptions = [];
+    }
 
-        const preloadDeferred = () => deferred.forEach(warm);
-        if (typeof window.requestIdleCallback === 'function') {
-            window.requestIdleCallback(preloadDeferred, { timeout: 1200 });
-        } else {
-            setTimeout(preloadDeferred, 400);
-        }
+    // Point the UI at another game (the replay viewer swaps its own in).
+    // Only persisted games are written to the save slot.
+    setGame(game, { persist = true } = {}) {
+        this.stopAutoplay();
+        this.clearHint();
+        this.pendingDirections = [];
+        this.interruptAnimations();
+        this.hideGameEnd();
+        this.unbindGameEvents();
+        this.game = game;
+        if (persist) this.bindGameEvents();
+        this.initializeBoard();
+        this.syncBoardToState();
+        this.updateStats();
+        // Lets the ?debug=1 logger follow the new game
+        window.dispatchEvent(new CustomEvent('zevia:gamechange', { detail: { game } }));
+    }
+
+    isReplaying() {
+        return Boolean(this.replayViewer?.active);
     }
 
-    // Initialize board tiles once
+    // Daily challenge runs are unassisted: no undo, hints or autoplay
+    assistsAllowed() {
+        return this.game.mode !== 'daily';
+    }
+
+    // Initialize board tiles once per board size
     initializeBoard() {
+        this.flavorPacks.sync();
+        this.difficultySelect.value = this.game.rules.difficulty;
+        this.blockersToggle.checked = Boolean(this.game.rules.blockers);
+        this.wildcardsToggle.checked = this.game.rules.wildcardChance > 0;
         this.gameBoard.innerHTML = '';
         this.tiles.clear();
+        this.gameBoard.style.setProperty('--board-cols', this.game.width);
+        this.gameBoard.style.setProperty('--board-rows', this.game.height);
+        this.layoutDirty = true;
 
-        // Create all 16 tile elements
-        for (let i = 0; i < 16; i++) {
+        // Create one tile element per cell
+        for (let i = 0; i < this.game.size; i++) {
             const tile = document.createElement('div');
             tile.className = 'tile';
             tile.dataset.index = i;
@@ -97,6 +163,19 @@ class UI {
         this.newGameBtn.addEventListener('click', () => this.newGame());
         this.continueBtn.addEventListener('click', () => this.hideGameEnd());
         this.newGameBtnModal.addEventListener('click', () => this.newGame());
+        this.undoBtn.addEventListener('click', () => this.undoMove());
+        this.redoBtn.addEventListener('click', () => this.redoMove());
+        this.undoBtnModal.addEventListener('click', () => this.undoMove());
+        this.hintBtn.addEventListener('click', () => this.showHint());
+        this.autoplayBtn.addEventListener('click', () => this.toggleAutoplay());
+        this.saveReplayBtn.addEventListener('click', () => this.downloadReplay());
+        this.loadReplayBtn.addEventListener('click', () => this.replayFileInput.click());
+        this.replayFileInput.addEventListener('change', () => this.loadReplayFile(this.replayFileInput.files[0]));
+        this.boardSizeSelect.addEventListener('change', () => this.changeBoardSize(this.boardSizeSelect.value));
+        this.difficultySelect.addEventListener('change', () => this.changeDifficulty(this.difficultySelect.value));
+        this.blockersToggle.addEventListener('change', () => this.changeVariants());
+        this.wildcardsToggle.addEventListener('change', () => this.changeVariants());
+        this.seedDisplay.addEventListener('click', () => this.copySeedLink());
 
         // Keyboard controls
         document.addEventListener('keydown', (e) => this.handleKeyPress(e));
@@ -109,6 +188,27 @@ class UI {
 
     // Handle keyboard input
     handleKeyPress(e) {
+        // The replay viewer has its own controls, and text fields keep
+        // their keys (letters, arrows, their own undo)
+        if (this.isReplaying() || isEditable(e.target)) return;
+
+        // Undo/redo shortcuts also work from the game-end modal
+        if (e.ctrlKey || e.metaKey) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undoMove();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                this.redoMove();
+            }
+            return;
+        }
+
+        if (this.profile.isOpen()) {
+            if (e.key === 'Escape') this.profile.close();
+            return;
+        }
         if (!this.gameOverModal.classList.contains('hidden')) return;
 
         let direction = null;
@@ -175,6 +275,9 @@ class UI {
     }
 
     handleDirectionInput(direction) {
+        if (this.isReplaying()) return;
+        // Manual input takes over from autoplay
+        if (this.autoplayActive) this.stopAutoplay();
         if (this.isAnimating) {
             // Keep only the most recent intent while animating.
             this.pendingDirections = [direction];
@@ -184,18 +287,95 @@ class UI {
     }
 
     executeMove(direction) {
-        const moved = game.move(direction);
+        const moved = this.game.move(direction);
         if (!moved) {
             this.checkGameEnd();
             return false;
         }
 
         this.isAnimating = true;
+        this.clearHint();
         this.render();
         this.startAnimationWatchdog();
         return true;
     }
 
+    // Ask the solver for the best move and highlight it on the board
+    async showHint() {
+        if (this.isAnimating || this.game.gameOver || !this.assistsAllowed()) return;
+        const before = boardKey(this.game.board);
+        this.hintBtn.disabled = true;
+        const { direction } = await this.solver.suggest(this.game);
+        this.hintBtn.disabled = false;
+
+        // Ignore answers for a board the player has already moved on from
+        if (!direction || boardKey(this.game.board) !== before) return;
+        this.game.recordHint();
+        this.gameBoard.dataset.hint = direction;
+    }
+
+    clearHint() {
+        delete this.gameBoard.dataset.hint;
+    }
+
+    toggleAutoplay() {
+        if (this.autoplayActive) this.stopAutoplay();
+        else this.startAutoplay();
+    }
+
+    startAutoplay() {
+        if (this.game.gameOver || !this.assistsAllowed()) return;
+        this.autoplayActive = true;
+        this.autoplayBtn.textContent = 'Stop';
+        this.autoplayBtn.classList.add('active');
+        this.autoplayStep();
+    }
+
+    stopAutoplay() {
+        this.autoplayActive = false;
+        if (this.autoplayTimer) {
+            clearTimeout(this.autoplayTimer);
+            this.autoplayTimer = null;
+        }
+        this.autoplayBtn.textContent = 'Autoplay';
+        this.autoplayBtn.classList.remove('active');
+    }
+
+    scheduleAutoplay() {
+        const delay = parseInt(this.autoplaySpeedSelect.value, 10) || 250;
+        this.autoplayTimer = setTimeout(() => this.autoplayStep(), delay);
+    }
+
+    // One autoplay move: solve, then drive executeMove like a key press would
+    async autoplayStep() {
+        this.autoplayTimer = null;
+        if (!this.autoplayActive) return;
+        if (this.game.gameOver || !this.gameOverModal.classList.contains('hidden')) {
+            this.stopAutoplay();
+            return;
+        }
+        if (this.isAnimating) {
+            this.scheduleAutoplay();
+            return;
+        }
+
+        const before = boardKey(this.game.board);
+        const { direction } = await this.solver.suggest(this.game);
+        if (!this.autoplayActive) return;
+        if (boardKey(this.game.board) !== before) {
+            this.scheduleAutoplay();
+            return;
+        }
+        if (!direction) {
+            this.stopAutoplay();
+            return;
+        }
+
+        this.game.recordHint();
+        this.executeMove(direction);
+        this.scheduleAutoplay();
+    }
+
     startAnimationWatchdog() {
         if (this.animationLockTimer) clearTimeout(this.animationLockTimer);
         this.animationLockTimer = setTimeout(() => {
@@ -211,16 +391,44 @@ class UI {
         }
         this.clearMergeGhosts();
         this.tiles.forEach((tile) => {
-            tile.classList.remove('sliding', 'spawning', 'merging');
+            tile.classList.remove('sliding', 'spawning', 'merging', 'blocker-landing', 'blocker-clearing');
         });
         this.syncBoardToState();
-        game.newTile = null;
-        game.movedTiles.clear();
-        game.mergedTiles.clear();
-        game.animationMetadata = { moves: [], merges: [] };
+        this.game.newTiles = [];
+        this.game.movedTiles.clear();
+        this.game.mergedTiles.clear();
+        this.game.animationMetadata = { moves: [], merges: [], blockersAdded: [], blockersCleared: [] };
         this.isAnimating = false;
     }
 
+    // Step back one move, dropping any in-flight animation
+    undoMove() {
+        if (!this.game.canUndo() || !this.assistsAllowed()) return false;
+        this.pendingDirections = [];
+        this.stopAutoplay();
+        this.clearHint();
+        this.interruptAnimations();
+        this.game.undo();
+        this.syncBoardToState();
+        this.updateStats();
+        this.hideGameEnd();
+        return true;
+    }
+
+    // Re-apply the last undone move
+    redoMove() {
+        if (!this.game.canRedo() || !this.assistsAllowed()) return false;
+        this.pendingDirections = [];
+        this.stopAutoplay();
+        this.clearHint();
+        this.interruptAnimations();
+        this.game.redo();
+        this.syncBoardToState();
+        this.updateStats();
+        this.checkGameEnd();
+        return true;
+    }
+
     flushPendingDirection() {
         if (this.isAnimating || this.pendingDirections.length === 0) return;
         const nextDirection = this.pendingDirections.pop();
@@ -238,40 +446,56 @@ class UI {
         this.mergeGhosts = [];
     }
 
+    // Distance in px between neighbouring cells, per axis
     getStride() {
-        if (!this.layoutDirty && this.layoutStride > 0) return this.layoutStride;
+        if (!this.layoutDirty && this.layoutStride.x > 0) return this.layoutStride;
         const sample = this.tiles.get(0);
-        if (!sample) return 110;
+        if (!sample) return { x: 110, y: 110 };
         const tileRect = sample.getBoundingClientRect();
-        const tileSize = Math.round(tileRect.width);
         const styles = window.getComputedStyle(this.gameBoard);
         const gapStr = styles.getPropertyValue('gap') || styles.getPropertyValue('grid-gap') || '10px';
         const gap = parseInt(gapStr, 10) || 10;
-        this.layoutStride = tileSize + gap;
+        this.layoutStride = {
+            x: Math.round(tileRect.width) + gap,
+            y: Math.round(tileRect.height) + gap
+        };
         this.layoutDirty = false;
         return this.layoutStride;
     }
 
     syncBoardToState() {
-        for (let i = 0; i < 16; i++) {
+        for (let i = 0; i < this.game.size; i++) {
             const tile = this.tiles.get(i);
             if (!tile) continue;
 
             tile.className = 'tile';
             tile.style.transform = 'translate3d(0, 0, 0)';
             tile.style.opacity = '1';
-            tile.dataset.spawnFlavor = '';
-
-            const flavorIndex = game.board[i];
-            if (flavorIndex === null || flavorIndex === undefined) {
-                tile.classList.add('empty');
-                tile.dataset.flavor = '';
-                tile.textContent = '';
-            } else {
-                const flavor = game.getFlavorName(flavorIndex);
-                tile.dataset.flavor = flavor;
-                tile.textContent = flavor;
-            }
+
+            const cell = this.game.board[i];
+            if (cell === null || cell === undefined) tile.classList.add('empty');
+            this.showTile(tile, cell);
+        }
+    }
+
+    // Paint a board tile onto a tile element (null/undefined clears it).
+    // The pack's generated styles key off data-tier. Prestige tiers reuse
+    // their base flavor's can, plus a star badge and a ring whose hue
+    // changes with every lap. Wildcards and empty cans get the .wildcard
+    // and .blocker looks instead.
+    showTile(element, cell) {
+        const tier = tierOf(cell) === null ? null : this.game.getFlavorTier(tierOf(cell));
+        element.dataset.flavor = tier ? tier.base : '';
+        element.dataset.tier = tier ? tier.baseIndex : '';
+        element.classList.toggle('wildcard', isWildcard(cell));
+        element.classList.toggle('blocker', isBlocker(cell));
+        element.textContent = cell ? this.game.getTileName(cell) : '';
+        if (tier && tier.prestige > 0) {
+            element.dataset.prestige = `★${tier.prestige}`;
+            element.style.setProperty('--prestige-hue', `${(45 + (tier.prestige - 1) * 67) % 360}deg`);
+        } else {
+            delete element.dataset.prestige;
+            element.style.removeProperty('--prestige-hue');
         }
     }
 
@@ -282,47 +506,52 @@ class UI {
         const MERGE_MS = 145;
         const FRAME_BUFFER_MS = 16;
         const CLEANUP_BUFFER = 32;
-        const hasPendingSpawn = game.newTile !== null && game.newTile !== undefined;
-        const boardNow = game.board.slice();
-        const boardForMotion = hasPendingSpawn && game.boardAfterMove?.length === 16
-            ? game.boardAfterMove.slice()
+        const spawnIndices = new Set(this.game.newTiles);
+        const landingBlockers = new Set(this.game.animationMetadata?.blockersAdded);
+        // A cell that's crushed and refilled in the same move just shows the new arrival
+        const clearingBlockers = new Set((this.game.animationMetadata?.blockersCleared ?? [])
+            .filter((index) => !spawnIndices.has(index) && !landingBlockers.has(index)));
+        const hasPendingSpawn = spawnIndices.size > 0;
+        const boardNow = this.game.board.slice();
+        const boardForMotion = hasPendingSpawn && this.game.boardAfterMove?.length === this.game.size
+            ? this.game.boardAfterMove.slice()
             : boardNow.slice();
         const originFor = new Map();
         const mergePlanByTarget = new Map();
 
-        if (Array.isArray(game.animationMetadata?.merges)) {
-            game.animationMetadata.merges.forEach((merge) => {
+        if (Array.isArray(this.game.animationMetadata?.merges)) {
+            this.game.animationMetadata.merges.forEach((merge) => {
                 const target = merge.to;
-                const finalFlavorIndex = boardNow[target];
-                if (finalFlavorIndex === null || finalFlavorIndex === undefined) return;
+                const finalTile = boardNow[target];
+                if (finalTile === null || finalTile === undefined) return;
 
-                let preMergeFlavorIndex = game.boardBefore?.[target];
-                const targetWasOccupied = preMergeFlavorIndex !== null && preMergeFlavorIndex !== undefined;
-                if (preMergeFlavorIndex === null || preMergeFlavorIndex === undefined) {
-                    preMergeFlavorIndex = game.boardBefore?.[merge.from[0]];
+                let preMergeTile = this.game.boardBefore?.[target];
+                const targetWasOccupied = preMergeTile !== null && preMergeTile !== undefined;
+                if (preMergeTile === null || preMergeTile === undefined) {
+                    preMergeTile = this.game.boardBefore?.[merge.from[0]];
                 }
-                if (preMergeFlavorIndex === null || preMergeFlavorIndex === undefined) {
-                    preMergeFlavorIndex = Math.max(0, finalFlavorIndex - 1);
+                if (preMergeTile === null || preMergeTile === undefined) {
+                    preMergeTile = flavorTile(Math.max(0, tierOf(finalTile) - 1));
                 }
 
                 mergePlanByTarget.set(target, {
                     target,
                     from: Array.isArray(merge.from) ? merge.from.slice() : [],
                     targetWasOccupied,
-                    preMergeFlavorIndex,
-                    finalFlavorIndex
+                    preMergeTile,
+                    finalTile
                 });
             });
         }
 
-        for (let i = 0; i < 16; i++) {
+        for (let i = 0; i < this.game.size; i++) {
             if (boardForMotion[i] !== null && boardForMotion[i] !== undefined) {
                 originFor.set(i, i);
             }
         }
 
-        if (Array.isArray(game.animationMetadata?.moves)) {
-            game.animationMetadata.moves.forEach(({ from, to }) => {
+        if (Array.isArray(this.game.animationMetadata?.moves)) {
+            this.game.animationMetadata.moves.forEach(({ from, to }) => {
                 if (!originFor.has(to)) return;
                 if (originFor.get(to) === to && from !== to) {
                     originFor.set(to, from);
@@ -339,8 +568,8 @@ class UI {
             if (this.debug) {
                 try {
                     console.groupCollapsed('UI Animation Mapping');
-                    console.log('movedTiles:', Array.from(game.movedTiles));
-                    console.log('mergedTiles:', Array.from(game.mergedTiles));
+                    console.log('movedTiles:', Array.from(this.game.movedTiles));
+                    console.log('mergedTiles:', Array.from(this.game.mergedTiles));
                     console.log('originFor (target -> origin):');
                     for (const [t, o] of originFor.entries()) {
                         console.log(` target ${t} <= origin ${o}`);
@@ -352,49 +581,42 @@ class UI {
             }
 
             // Place tiles at their final DOM slots but visually at their origin
-            boardForMotion.forEach((flavorIndex, i) => {
+            boardForMotion.forEach((cell, i) => {
                 const tile = this.tiles.get(i);
                 if (!tile) return;
-                const isSpawnTile = hasPendingSpawn && i === game.newTile && boardNow[i] !== null && boardNow[i] !== undefined;
+                const isSpawnTile = spawnIndices.has(i) && boardNow[i] !== null && boardNow[i] !== undefined;
 
                 // Reset classes and content
                 tile.className = 'tile';
                 tile.classList.remove('empty');
                 tile.style.opacity = '1';
                 tile.style.transform = 'translate3d(0, 0, 0)';
-                tile.dataset.spawnFlavor = '';
 
-                if (isSpawnTile) {
-                    const spawnFlavor = game.getFlavorName(boardNow[i]);
+                if (isSpawnTile || landingBlockers.has(i)) {
                     tile.classList.add('empty');
-                    tile.dataset.flavor = '';
-                    tile.textContent = '';
-                    tile.dataset.spawnFlavor = spawnFlavor;
-                } else if (flavorIndex !== null && flavorIndex !== undefined) {
+                    this.showTile(tile, null);
+                } else if (clearingBlockers.has(i)) {
+                    this.showTile(tile, BLOCKER_TILE);
+                } else if (cell !== null && cell !== undefined) {
                     const mergePlan = mergePlanByTarget.get(i);
                     if (mergePlan && !mergePlan.targetWasOccupied) {
                         tile.classList.add('empty');
-                        tile.dataset.flavor = '';
-                        tile.textContent = '';
+                        this.showTile(tile, null);
                     } else {
-                        const displayFlavorIndex = mergePlan ? mergePlan.preMergeFlavorIndex : flavorIndex;
-                        const flavor = game.getFlavorName(displayFlavorIndex);
-                        tile.dataset.flavor = flavor;
-                        tile.textContent = flavor;
+                        this.showTile(tile, mergePlan ? mergePlan.preMergeTile : cell);
                     }
 
                     const originIdx = originFor.get(i);
                     if (!mergePlan && originIdx !== undefined && originIdx !== i) {
-                        const oc = { row: Math.floor(originIdx / 4), col: originIdx % 4 };
-                        const tc = { row: Math.floor(i / 4), col: i % 4 };
-                        const dx = (oc.col - tc.col) * stride;
-                        const dy = (oc.row - tc.row) * stride;
+                        const oc = this.game.getCoords(originIdx);
+                        const tc = this.game.getCoords(i);
+                        const dx = (oc.col - tc.col) * stride.x;
+                        const dy = (oc.row - tc.row) * stride.y;
                         tile.style.transform = `translate3d(${dx}px, ${dy}px, 0)`;
                     }
                 } else {
                     tile.classList.add('empty');
-                    tile.textContent = '';
-                    tile.dataset.flavor = '';
+                    this.showTile(tile, null);
                 }
             });
 
@@ -406,19 +628,18 @@ class UI {
                 const movers = mergePlan.from.filter((from) => from !== target);
 
                 movers.forEach((from) => {
-                    const sourceFlavorIndex = game.boardBefore?.[from];
-                    const flavorIndex = sourceFlavorIndex !== null && sourceFlavorIndex !== undefined
-                        ? sourceFlavorIndex
-                        : mergePlan.preMergeFlavorIndex;
-                    const flavor = game.getFlavorName(flavorIndex);
-                    const fromCoord = { row: Math.floor(from / 4), col: from % 4 };
-                    const toCoord = { row: Math.floor(target / 4), col: target % 4 };
-                    const dx = (fromCoord.col - toCoord.col) * stride;
-                    const dy = (fromCoord.row - toCoord.row) * stride;
+                    const sourceTile = this.game.boardBefore?.[from];
+                    const ghostTile = sourceTile !== null && sourceTile !== undefined
+                        ? sourceTile
+                        : mergePlan.preMergeTile;
+                    const fromCoord = this.game.getCoords(from);
+                    const toCoord = this.game.getCoords(target);
+                    const dx = (fromCoord.col - toCoord.col) * stride.x;
+                    const dy = (fromCoord.row - toCoord.row) * stride.y;
 
                     const ghost = document.createElement('div');
                     ghost.className = 'tile tile-ghost';
-                    ghost.dataset.flavor = flavor;
+                    this.showTile(ghost, ghostTile);
                     ghost.style.width = `${Math.round(targetRect.width)}px`;
                     ghost.style.height = `${Math.round(targetRect.height)}px`;
                     ghost.style.left = `${Math.round(targetRect.left - boardRect.left)}px`;
@@ -432,7 +653,7 @@ class UI {
             this.gameBoard.offsetHeight;
 
             // Start all slides at the same time (fixed duration)
-            game.movedTiles.forEach((i) => {
+            this.game.movedTiles.forEach((i) => {
                 if (mergePlanByTarget.has(i)) return;
                 const tile = this.tiles.get(i);
                 if (!tile) return;
@@ -446,46 +667,63 @@ class UI {
             });
 
             // Run follow-up phases only after animations that actually exist.
-            const hasSlides = game.movedTiles.size > 0 || this.mergeGhosts.length > 0;
-            const hasMerges = game.mergedTiles.size > 0;
+            const hasSlides = this.game.movedTiles.size > 0 || this.mergeGhosts.length > 0;
+            const hasMerges = this.game.mergedTiles.size > 0;
             const slideCompleteDelay = hasSlides
                 ? (SLIDE_MS + (hasMerges ? CONTACT_HOLD_MS : 0))
                 : 0;
             const mergeTimer = setTimeout(() => {
-                game.mergedTiles.forEach((i) => {
+                this.game.mergedTiles.forEach((i) => {
                     const tile = this.tiles.get(i);
                     if (!tile) return;
 
                     const mergePlan = mergePlanByTarget.get(i);
                     if (mergePlan) {
-                        const mergedFlavor = game.getFlavorName(mergePlan.finalFlavorIndex);
                         tile.classList.remove('empty');
-                        tile.dataset.flavor = mergedFlavor;
-                        tile.textContent = mergedFlavor;
+                        this.showTile(tile, mergePlan.finalTile);
                     }
                     tile.classList.add('merging');
                 });
                 this.clearMergeGhosts();
+                clearingBlockers.forEach((index) => this.tiles.get(index)?.classList.add('blocker-clearing'));
             }, slideCompleteDelay);
             this.animationTimers.push(mergeTimer);
 
+            // Crushed cans leave an empty cell once their animation ends
+            const clearEndDelay = clearingBlockers.size > 0 ? slideCompleteDelay + MERGE_MS : 0;
+            if (clearingBlockers.size > 0) {
+                const clearTimer = setTimeout(() => {
+                    clearingBlockers.forEach((index) => {
+                        const tile = this.tiles.get(index);
+                        if (!tile) return;
+                        tile.classList.remove('blocker-clearing');
+                        tile.classList.add('empty');
+                        this.showTile(tile, null);
+                    });
+                }, clearEndDelay);
+                this.animationTimers.push(clearTimer);
+            }
+
             // Spawn shortly after impact so controls feel responsive.
             const mergeCompleteDelay = hasMerges ? MERGE_MS : 0;
             const spawnDelay = hasMerges
                 ? (slideCompleteDelay + Math.round(MERGE_MS * 0.12) + FRAME_BUFFER_MS)
                 : (slideCompleteDelay + FRAME_BUFFER_MS);
             const spawnTimer = setTimeout(() => {
-                if (game.newTile !== null && game.newTile !== undefined) {
-                    const tile = this.tiles.get(game.newTile);
-                    if (tile) {
-                        const spawnFlavor = tile.dataset.spawnFlavor || game.getFlavorName(game.board[game.newTile]);
-                        tile.classList.remove('empty');
-                        tile.dataset.flavor = spawnFlavor;
-                        tile.textContent = spawnFlavor;
-                        tile.dataset.spawnFlavor = '';
-                        tile.classList.add('spawning');
-                    }
-                }
+                spawnIndices.forEach((index) => {
+                    const tile = this.tiles.get(index);
+                    if (!tile) return;
+                    tile.classList.remove('empty');
+                    this.showTile(tile, boardNow[index]);
+                    tile.classList.add('spawning');
+                });
+                landingBlockers.forEach((index) => {
+                    const tile = this.tiles.get(index);
+                    if (!tile) return;
+                    tile.classList.remove('empty');
+                    this.showTile(tile, BLOCKER_TILE);
+                    tile.classList.add('blocker-landing');
+                });
             }, spawnDelay);
             this.animationTimers.push(spawnTimer);
 
@@ -501,7 +739,7 @@ class UI {
 
             // Final cleanup after all animations
             const mergeEndDelay = slideCompleteDelay + mergeCompleteDelay;
-            const cleanupAfter = Math.max(spawnDelay, mergeEndDelay) + CLEANUP_BUFFER;
+            const cleanupAfter = Math.max(spawnDelay, mergeEndDelay, clearEndDelay) + CLEANUP_BUFFER;
             const cleanupTimer = setTimeout(() => this.cleanupAnimations(), cleanupAfter);
             this.animationTimers.push(cleanupTimer);
 
@@ -517,16 +755,16 @@ class UI {
         requestAnimationFrame(() => {
             this.tiles.forEach((tile) => {
                 // Remove all animation classes
-                tile.classList.remove('sliding', 'spawning', 'merging');
+                tile.classList.remove('sliding', 'spawning', 'merging', 'blocker-landing', 'blocker-clearing');
             });
         });
         this.clearMergeGhosts();
 
         // Reset game animation tracking
-        game.newTile = null;
-        game.movedTiles.clear();
-        game.mergedTiles.clear();
-        game.animationMetadata = { moves: [], merges: [] };
+        this.game.newTiles = [];
+        this.game.movedTiles.clear();
+        this.game.mergedTiles.clear();
+        this.game.animationMetadata = { moves: [], merges: [], blockersAdded: [], blockersCleared: [] };
         this.isAnimating = false;
         if (this.animationLockTimer) {
             clearTimeout(this.animationLockTimer);
@@ -543,16 +781,73 @@ class UI {
 
     // Update score and moves display
     updateStats() {
-        this.scoreDisplay.textContent = game.score;
-        this.movesDisplay.textContent = game.moves;
+        this.scoreDisplay.textContent = this.game.score;
+        this.movesDisplay.textContent = this.game.moves;
+        this.seedDisplay.textContent = this.game.seed;
+        this.updateHistoryButtons();
+    }
+
+    updateHistoryButtons() {
+        const assists = this.assistsAllowed();
+        this.undoBtn.disabled = !assists || !this.game.canUndo();
+        this.redoBtn.disabled = !assists || !this.game.canRedo();
+        this.undoBtnModal.style.display = assists && this.game.canUndo() ? 'block' : 'none';
+        this.hintBtn.disabled = !assists;
+        this.autoplayBtn.disabled = !assists;
+        // The daily board is fixed: leave it through the mode switch instead
+        this.newGameBtn.disabled = !assists;
+        this.newGameBtnModal.style.display = assists ? 'block' : 'none';
+        this.boardSizeSelect.disabled = !assists;
+        this.difficultySelect.disabled = !assists;
+        this.blockersToggle.disabled = !assists;
+        this.wildcardsToggle.disabled = !assists;
+        this.flavorPacks.select.disabled = !assists;
+    }
+
+    // Read ?seed= from the page URL (null when absent)
+    getSeedFromUrl() {
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed !== null && seed.trim() !== '' ? seed : null;
+    }
+
+    // Link that reproduces the current game: same seed, board size, pack,
+    // difficulty and variants
+    getSeedLink() {
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', this.game.seed);
+        url.searchParams.set('size', this.game.width);
+        if (this.game.pack.id !== DEFAULT_PACK_ID) url.searchParams.set('pack', this.game.pack.id);
+        else url.searchParams.delete('pack');
+        const { difficulty } = this.game.rules;
+        if (difficulty !== DEFAULT_DIFFICULTY && DIFFICULTIES.includes(difficulty)) {
+            url.searchParams.set('difficulty', difficulty);
+        } else {
+            url.searchParams.delete('difficulty');
+        }
+        if (this.game.rules.blockers) url.searchParams.set('blockers', '1');
+        else url.searchParams.delete('blockers');
+        if (this.game.rules.wildcardChance > 0) url.searchParams.set('wildcards', '1');
+        else url.searchParams.delete('wildcards');
+        return url.toString();
+    }
+
+    copySeedLink() {
+        const link = this.getSeedLink();
+        if (!navigator.clipboard) {
+            window.prompt('Copy this link to replay the same seed:', link);
+            return;
+        }
+        navigator.clipboard.writeText(link).catch(() => {
+            window.prompt('Copy this link to replay the same seed:', link);
+        });
     }
 
     // Save best score to localStorage
     saveBestScore() {
         const currentBest = parseInt(localStorage.getItem('zeviaBestScore') || '0');
-        if (game.score > currentBest) {
-            localStorage.setItem('zeviaBestScore', game.score);
-            this.bestScoreDisplay.textContent = game.score;
+        if (this.game.score > currentBest) {
+            localStorage.setItem('zeviaBestScore', this.game.score);
+            this.bestScoreDisplay.textContent = this.game.score;
         }
     }
 
@@ -562,16 +857,171 @@ class UI {
         this.bestScoreDisplay.textContent = bestScore;
     }
 
+    // Board size from ?size= or localStorage (defaults to the current game's)
+    loadBoardSize() {
+        const urlSize = new URLSearchParams(window.location.search).get('size');
+        const savedSize = urlSize || localStorage.getItem('zeviaBoardSize');
+        return savedSize ? Game.clampDimension(savedSize) : this.game.width;
+    }
+
+    // Difficulty preset from ?difficulty= or localStorage (Normal by default)
+    loadDifficulty() {
+        const urlDifficulty = new URLSearchParams(window.location.search).get('difficulty');
+        const difficulty = urlDifficulty || localStorage.getItem('zeviaDifficulty');
+        return DIFFICULTIES.includes(difficulty) ? difficulty : DEFAULT_DIFFICULTY;
+    }
+
+    // Empty Cans and Mystery Flavor variants from ?blockers= / ?wildcards=
+    // or localStorage (both off by default), as rules
+    loadVariants() {
+        const params = new URLSearchParams(window.location.search);
+        const enabled = (param, key) => (params.get(param) ?? localStorage.getItem(key)) === '1';
+        return {
+            blockers: enabled('blockers', 'zeviaBlockers'),
+            wildcardChance: enabled('wildcards', 'zeviaWildcards') ? WILDCARD_CHANCE : 0
+        };
+    }
+
+    // Rules for the variants ticked next to the difficulty
+    variantRules() {
+        return {
+            blockers: this.blockersToggle.checked,
+            wildcardChance: this.wildcardsToggle.checked ? WILDCARD_CHANCE : 0
+        };
+    }
+
+    // Persist the in-progress game so a reload can resume it. Daily runs
+    // have their own slot so they never overwrite the classic game.
+    saveGame() {
+        const key = this.game.mode === 'daily' ? 'zeviaSavedDaily' : 'zeviaSavedGame';
+        try {
+            localStorage.setItem(key, JSON.stringify(this.game.serialize()));
+        } catch (e) {
+            console.warn('Could not save game progress', e);
+        }
+    }
+
+    // Resume the saved game unless the URL asks for a specific seed.
+    // Corrupted or outdated saves are discarded.
+    loadSavedGame() {
+        if (this.getSeedFromUrl() !== null) return false;
+
+        const data = this.readSave('zeviaSavedGame');
+        if (data === null) return false;
+
+        if (!this.game.restore(data)) {
+            console.warn('Discarding unreadable saved game:', Game.validateSave(data));
+            localStorage.removeItem('zeviaSavedGame');
+            return false;
+        }
+        return true;
+    }
+
+    // Parsed save from localStorage (undefined if unparseable, null if absent)
+    readSave(key) {
+        const raw = localStorage.getItem(key);
+        if (!raw) return null;
+        try {
+            return JSON.parse(raw);
+        } catch {
+            return undefined;
+        }
+    }
+
+    // Switch board size and start a fresh game
+    changeBoardSize(value) {
+        const size = Game.clampDimension(value);
+        localStorage.setItem('zeviaBoardSize', size);
+        this.boardSizeSelect.value = String(size);
+        this.newGame({ width: size, height: size });
+    }
+
+    // Switch difficulty preset and start a fresh game; the leaderboard
+    // follows, since scores are ranked per preset
+    changeDifficulty(value) {
+        const difficulty = DIFFICULTIES.includes(value) ? value : DEFAULT_DIFFICULTY;
+        localStorage.setItem('zeviaDifficulty', difficulty);
+        this.newGame({ rules: { difficulty, ...this.variantRules() } });
+        this.leaderboard.setDifficulty(difficulty);
+    }
+
+    // Apply the variant checkboxes and start a fresh game on the same difficulty
+    changeVariants() {
+        localStorage.setItem('zeviaBlockers', this.blockersToggle.checked ? '1' : '0');
+        localStorage.setItem('zeviaWildcards', this.wildcardsToggle.checked ? '1' : '0');
+        const { difficulty } = this.game.rules;
+        this.newGame({
+            rules: { difficulty: DIFFICULTIES.includes(difficulty) ? difficulty : this.loadDifficulty(), ...this.variantRules() }
+        });
+    }
+
+    // Download the current game as a replay file
+    downloadReplay() {
+        const replay = createReplay(this.game);
+
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `zevia-replay-${replay.seed}-${replay.score}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    // Open a replay file picked by the player
+    loadReplayFile(file) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            let replay = null;
+            try {
+                replay = JSON.parse(reader.result);
+            } catch {
+                replay = null;
+            }
+            this.openReplay(replay);
+        };
+        reader.readAsText(file);
+        this.replayFileInput.value = '';
+    }
+
+    // ?replay= holds either an encoded replay or a URL to a replay JSON file
+    async loadReplayFromUrl() {
+        const param = new URLSearchParams(window.location.search).get('replay');
+        if (!param) return;
+
+        if (/^https?:\/\//.test(param)) {
+            try {
+                const response = await fetch(param);
+                this.openReplay(await response.json());
+            } catch (err) {
+                console.warn('Could not fetch replay', err);
+                this.openReplay(null);
+            }
+            return;
+        }
+        this.openReplay(decodeReplayParam(param));
+    }
+
+    openReplay(replay) {
+        const error = this.replayViewer.open(replay);
+        if (error) window.alert(`Could not open replay: ${error}`);
+    }
+
     // Check for game end conditions
     checkGameEnd() {
-        if (game.won && !game.winModalShown) {
-            this.showGameEnd('You Won!', `You reached Ginger Root Beer! Final Score: ${game.score}`, true);
-            game.winModalShown = true;
+        if (this.isReplaying()) return;
+        if (this.game.won && !this.game.winModalShown) {
+            const goal = this.game.getFlavorName(this.game.rules.winTier);
+            this.showGameEnd('You Won!', `You reached ${goal}! Final Score: ${this.game.score}`, true);
+            this.game.winModalShown = true;
+            this.saveGame();
             this.saveBestScore();
-        } else if (game.gameOver) {
+        } else if (this.game.gameOver) {
             if (this.gameEndTimer) return;
             this.gameEndTimer = setTimeout(() => {
-                this.showGameEnd('Game Over', `Final Score: ${game.score}`, false);
+                this.showGameEnd('Game Over', `Final Score: ${this.game.score}`, false);
                 this.saveBestScore();
                 this.gameEndTimer = null;
             }, 1000);
@@ -581,8 +1031,10 @@ class UI {
     // Show game over modal
     showGameEnd(title, message, showContinue = false) {
         this.modalTitle.textContent = title;
-        this.finalScoreDisplay.textContent = game.score;
+        this.finalScoreDisplay.textContent = this.game.score;
         this.continueBtn.style.display = showContinue ? 'block' : 'none';
+        this.leaderboard.onGameEnd();
+        this.daily.onGameEnd();
         // Apply dim effect to the game board
         this.gameBoard.parentElement.classList.add('dimmed');
         this.gameOverModal.classList.remove('hidden');
@@ -599,26 +1051,25 @@ class UI {
         this.gameBoard.parentElement.classList.remove('dimmed');
     }
 
-    // Start new game
-    newGame() {
+    // Start new game (optionally with new board dimensions)
+    newGame(options = {}) {
         if (this.gameEndTimer) {
             clearTimeout(this.gameEndTimer);
             this.gameEndTimer = null;
         }
         this.clearAnimationTimers();
+        this.stopAutoplay();
+        this.clearHint();
         this.isAnimating = false;
         this.pendingDirections = [];
         if (this.animationLockTimer) {
             clearTimeout(this.animationLockTimer);
             this.animationLockTimer = null;
         }
-        game.reset();
+        this.game.reset(options);
         this.initializeBoard(); // Reinitialize all tiles
         this.previousBoardState = [];
         this.hideGameEnd();
         this.render();
     }
 }
-
-// ==================== Initialize UI ====================
-const ui = new UI();
@@ -1,86 +0,0 @@
-// ==================== Utility Functions ====================
-
-/**
- * Shuffle an array using Fisher-Yates algorithm
- * @param {Array} array - Array to shuffle
- * @returns {Array} - Shuffled array
- */
-function shuffle(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-}
-
-/**
- * Get random element from array
- * @param {Array} array - Array to select from
- * @returns {*} - Random element
- */
-function getRandomElement(array) {
-    return array[Math.floor(Math.random() * array.length)];
-}
-
-/**
- * Check if object is empty
- * @param {Object} obj - Object to check
- * @returns {Boolean} - True if empty
- */
-function isEmpty(obj) {
-    return Object.keys(obj).length === 0;
-}
-
-/**
- * Deep clone an object
- * @param {Object} obj - Object to clone
- * @returns {Object} - Cloned object
- */
-function deepClone(obj) {
-    return JSON.parse(JSON.stringify(obj));
-}
-
-/**
- * Format number with commas
- * @param {Number} num - Number to format
- * @returns {String} - Formatted number
- */
-function formatNumber(num) {
-    return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-}
-
-/**
- * Debounce function to limit function calls
- * @param {Function} func - Function to debounce
- * @param {Number} wait - Wait time in ms
- * @returns {Function} - Debounced function
- */
-function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func(...args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
-}
-
-/**
- * Throttle function to limit function calls
- * @param {Function} func - Function to throttle
- * @param {Number} limit - Time limit in ms
- * @returns {Function} - Throttled function
- */
-function throttle(func, limit) {
-    let inThrottle;
-    return function(...args) {
-        if (!inThrottle) {
-            func.apply(this, args);
-            inThrottle = true;
-            setTimeout(() => { inThrottle = false; }, limit);
-        }
-    };
-}
@@ -0,0 +1,30 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from '../backend/csv.mjs';
+
+describe('csv', () => {
+    test('quotes only the cells that need it', () => {
+        const text = toCsv([{ a: 'x,"y"', b: null, c: 0 }, { a: 'two\nlines', b: 'ok' }], ['a', 'b', 'c']);
+        assert.equal(text, 'a,b,c\r\n"x,""y""",,0\r\n"two\nlines",ok,\r\n');
+    });
+
+    test('round-trips rows and reports the line each row starts on', () => {
+        const rows = [{ a: 'two\nlines', b: '1' }, { a: 'plain', b: '"quoted"' }];
+        assert.deepEqual(parseCsv(toCsv(rows, ['a', 'b'])), [
+            { line: 2, row: rows[0] },
+            { line: 4, row: rows[1] }
+        ]);
+    });
+
+    test('ignores blank lines and a byte order mark, and pads short rows', () => {
+        assert.deepEqual(parseCsv('\uFEFFa,b\n\n1,2\n3'), [
+            { line: 3, row: { a: '1', b: '2' } },
+            { line: 4, row: { a: '3', b: '' } }
+        ]);
+        assert.deepEqual(parseCsv(''), []);
+    });
+
+    test('rejects an unterminated quote', () => {
+        assert.throws(() => parseCsv('a\n"open'), /line 2/);
+    });
+});
@@ -0,0 +1,124 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../js/game.js';
+import { getPack } from '../js/flavor-packs.js';
+import { blockerRules, isRanked, presetRules, resolveRules, validateRules } from '../js/difficulty.js';
+import { createReplay, validateReplay, verifyReplay } from '../js/replay.js';
+import { boardFromCodes, tierOf } from '../js/tiles.js';
+
+const directions = ['left', 'up', 'right', 'down'];
+const tileCount = (game) => game.board.filter((tile) => tile !== null).length;
+
+describe('difficulty presets', () => {
+    test('Normal is the pack\'s own rules; Easy and Hard shift them', () => {
+        const pack = getPack();
+        assert.deepEqual(presetRules('normal', pack), {
+            difficulty: 'normal',
+            spawn: { tiers: [0, 1], rareChance: 0.1 },
+            spawnCount: 1,
+            startTiles: 2,
+            winTier: pack.winTier,
+            blockers: null,
+            wildcardChance: 0
+        });
+        const easy = presetRules('easy', pack);
+        assert.equal(easy.winTier, pack.winTier - 1);
+        assert.equal(easy.startTiles, 3);
+        assert.ok(easy.spawn.rareChance > pack.spawn.rareChance);
+        const hard = presetRules('hard', pack);
+        assert.equal(hard.winTier, pack.winTier + 1);
+        assert.equal(hard.spawn.rareChance, 0);
+    });
+
+    test('names rules by the preset they match, or custom', () => {
+        const pack = getPack();
+        assert.equal(resolveRules({}, pack).difficulty, 'normal');
+        assert.equal(resolveRules({ difficulty: 'hard' }, pack).difficulty, 'hard');
+        assert.equal(resolveRules({ ...presetRules('easy', pack), difficulty: undefined }, pack).difficulty, 'easy');
+        assert.deepEqual(resolveRules({ difficulty: 'hard', spawnCount: 2 }, pack), {
+            ...presetRules('hard', pack),
+            difficulty: 'custom',
+            spawnCount: 2
+        });
+    });
+
+    test('rejects rules that do not fit the pack or board', () => {
+        const pack = getPack();
+        assert.equal(validateRules({}, pack, 16), null);
+        assert.match(validateRules({ difficulty: 'insane' }, pack, 16), /difficulty/);
+        assert.match(validateRules({ spawn: { tiers: [0, 99], rareChance: 0.1 } }, pack, 16), /spawn tiers/);
+        assert.match(validateRules({ spawn: { tiers: [0, 1], rareChance: 2 } }, pack, 16), /spawn chance/);
+        assert.match(validateRules({ spawnCount: 0 }, pack, 16), /spawn count/);
+        assert.match(validateRules({ startTiles: 10 }, pack, 9), /starting tile/);
+        assert.match(validateRules({ winTier: 0 }, pack, 16), /win tier/);
+        assert.match(validateRules({ blockers: { interval: 0, clearTier: 3 } }, pack, 16), /interval/);
+        assert.match(validateRules({ blockers: { interval: 5, clearTier: 99 } }, pack, 16), /clear tier/);
+    });
+
+    test('empty cans keep the difficulty name but are not ranked', () => {
+        const pack = getPack();
+        const rules = resolveRules({ difficulty: 'hard', blockers: true }, pack);
+        assert.equal(rules.difficulty, 'hard');
+        assert.deepEqual(rules.blockers, blockerRules(pack));
+        assert.equal(isRanked(rules), false);
+        assert.equal(isRanked(resolveRules({ difficulty: 'hard', blockers: false }, pack)), true);
+        assert.equal(isRanked(resolveRules({ spawnCount: 2 }, pack)), false);
+    });
+
+    test('mystery cans keep the difficulty name but are not ranked', () => {
+        const pack = getPack();
+        const rules = resolveRules({ difficulty: 'easy', wildcardChance: 0.04 }, pack);
+        assert.equal(rules.difficulty, 'easy');
+        assert.equal(isRanked(rules), false);
+        assert.match(validateRules({ wildcardChance: 0.9 }, pack, 16), /wildcard/);
+    });
+});
+
+describe('games with rules', () => {
+    test('start with, spawn and win at the rules\' tiles', () => {
+        const game = new Game({ seed: 3, rules: { startTiles: 4, spawnCount: 2, spawn: { tiers: [2, 3], rareChance: 0 } } });
+        assert.equal(game.rules.difficulty, 'custom');
+        assert.equal(tileCount(game), 4);
+        assert.ok(game.board.every((tile) => tile === null || tierOf(tile) === 2));
+
+        const before = tileCount(game);
+        const direction = directions.find((d) => game.move(d));
+        assert.ok(direction);
+        assert.equal(game.newTiles.length, 2);
+        assert.equal(tileCount(game), before - game.animationMetadata.merges.length + 2);
+
+        const wins = [];
+        const easy = new Game({ seed: 1, rules: { difficulty: 'easy' } });
+        easy.on('win', ({ value }) => wins.push(value));
+        easy.board = boardFromCodes([8, 8, ...Array(14).fill(null)]);
+        easy.move('left');
+        assert.equal(easy.won, true);
+        assert.deepEqual(wins, [9]);
+    });
+
+    test('replays, saves and resets keep the rules', () => {
+        const game = new Game({ seed: 11, rules: { difficulty: 'hard' } });
+        for (let i = 0; i < 40 && !game.gameOver; i++) game.move(directions[i % 4]);
+
+        const replay = createReplay(game);
+        assert.equal(replay.rules.difficulty, 'hard');
+        assert.equal(verifyReplay(replay, { score: game.score, moves: game.moves }).error, null);
+        assert.match(validateReplay({ ...replay, rules: { ...replay.rules, spawnCount: 9 } }), /spawn count/);
+
+        const copy = new Game();
+        assert.equal(copy.restore(JSON.parse(JSON.stringify(game.serialize()))), true);
+        assert.deepEqual(copy.rules, game.rules);
+
+        copy.reset();
+        assert.equal(copy.rules.difficulty, 'hard');
+        copy.reset({ rules: { spawnCount: 2 } });
+        assert.equal(copy.rules.difficulty, 'custom');
+        copy.reset({ pack: 'zevia', width: 5 });
+        assert.equal(copy.rules.spawnCount, 2);
+    });
+
+    test('daily games play on Normal', () => {
+        const daily = new Game({ mode: 'daily', dailyDate: '2026-10-19', rules: { difficulty: 'hard' } });
+        assert.equal(daily.rules.difficulty, 'normal');
+    });
+});
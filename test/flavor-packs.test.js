@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+import { Game, FLAVORS } from '../js/game.js';
+import { getPack, loadPacks, registerPack, validatePack } from '../js/flavor-packs.js';
+import { createReplay, validateReplay, verifyReplay } from '../js/replay.js';
+import { boardFromCodes, tierOf } from '../js/tiles.js';
+
+const readPackFile = (file) => JSON.parse(readFileSync(new URL(`../assets/packs/${file}`, import.meta.url), 'utf8'));
+
+const tinyPack = {
+    id: 'tiny',
+    name: 'Tiny',
+    winTier: 2,
+    spawn: { tiers: [1, 2], rareChance: 0.5 },
+    flavors: [{ name: 'Fizz' }, { name: 'Pop', color: '#112233' }, { name: 'Bang', image: 'assets/images/cola.webp' }]
+};
+
+describe('flavor packs', () => {
+    test('every shipped pack loads and its images exist', async () => {
+        const { loaded, failures } = await loadPacks(async (file) => readPackFile(file));
+        assert.deepEqual(failures, []);
+        assert.ok(loaded.includes('zevia'));
+        for (const id of loaded) {
+            for (const { image } of getPack(id).flavors) {
+                assert.ok(existsSync(new URL(`../${image}`, import.meta.url)), `${id}: missing ${image}`);
+            }
+        }
+    });
+
+    test('the zevia manifest matches the built-in lineup and rules', () => {
+        const manifest = readPackFile('zevia.json');
+        const builtIn = new Game({ seed: 1 }).pack;
+        assert.deepEqual(manifest.flavors.map((flavor) => flavor.name), FLAVORS);
+        assert.equal(manifest.winTier, builtIn.winTier);
+        assert.deepEqual(manifest.spawn, builtIn.spawn);
+    });
+
+    test('rejects malformed manifests', () => {
+        assert.equal(validatePack(tinyPack), null);
+        assert.match(validatePack({ ...tinyPack, id: 'Not An Id' }), /id/);
+        assert.match(validatePack({ ...tinyPack, winTier: 3 }), /win tier/);
+        assert.match(validatePack({ ...tinyPack, spawn: { tiers: [0], rareChance: 0.1 } }), /spawn tiers/);
+        assert.match(validatePack({ ...tinyPack, flavors: [{ name: 'A' }, { name: 'A' }, { name: 'B' }] }), /Duplicate/);
+        assert.match(validatePack({ ...tinyPack, flavors: [...tinyPack.flavors, { name: 'Gold ★' }] }), /name/);
+        assert.match(validatePack({ ...tinyPack, flavors: [...tinyPack.flavors, { name: 'X', image: 'a.png")' }] }), /image/);
+        assert.throws(() => registerPack({ ...tinyPack, flavors: [] }), /Invalid flavor pack "tiny"/);
+    });
+
+    test('a pack sets the names, spawns and win tier of a game', () => {
+        registerPack(tinyPack);
+        const game = new Game({ pack: 'tiny', seed: 5 });
+        const { width, height, pack, winTier } = game.getRules();
+        assert.deepEqual({ width, height, pack, winTier }, { width: 4, height: 4, pack: 'tiny', winTier: 2 });
+        assert.ok(game.board.filter((tile) => tile !== null).every((tile) => tierOf(tile) === 1 || tierOf(tile) === 2));
+        assert.equal(game.getFlavorName(3), 'Fizz ★1');
+
+        const wins = [];
+        game.on('win', (event) => wins.push(event));
+        game.board = boardFromCodes([1, 1, ...Array(14).fill(null)]);
+        game.move('left');
+        assert.deepEqual(wins.map(({ value, flavor }) => ({ value, flavor })), [{ value: 2, flavor: 'Bang' }]);
+    });
+
+    test('replays and saves keep their pack', () => {
+        registerPack(tinyPack);
+        const game = new Game({ pack: 'tiny', seed: 7 });
+        ['left', 'up', 'right', 'down'].forEach((direction) => game.move(direction));
+        const replay = createReplay(game);
+        assert.equal(verifyReplay(replay, { score: game.score, moves: game.moves }).error, null);
+        assert.equal(validateReplay({ ...replay, rules: { ...replay.rules, pack: 'missing' } }), 'Unknown flavor pack');
+
+        const copy = new Game();
+        assert.equal(copy.restore(game.serialize()), true);
+        assert.equal(copy.pack.id, 'tiny');
+        assert.equal(copy.restore({ ...game.serialize(), pack: 'missing' }), false);
+    });
+
+    test('daily games always use the default pack', () => {
+        registerPack(tinyPack);
+        const game = new Game({ mode: 'daily', dailyDate: '2026-10-19', pack: 'tiny' });
+        assert.equal(game.pack.id, 'zevia');
+    });
+});
@@ -0,0 +1,416 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game, FLAVORS, SAVE_VERSION, flavorTier } from '../js/game.js';
+import { boardFromCodes, boardToCodes } from '../js/tiles.js';
+import { verifyReplay, createReplay } from '../js/replay.js';
+
+const _ = null;
+const X = 'X';
+const W = '?';
+
+// Game with a hand-written board of tile codes (row-major, width x height)
+function gameWithBoard(board, width = 4, height = width) {
+    const game = new Game({ width, height, seed: 1 });
+    game.board = boardFromCodes(board);
+    return game;
+}
+
+// The board as tile codes, for comparing with hand-written ones
+const codes = (game) => boardToCodes(game.board);
+
+// Run processLine over one row and return the resulting row
+function slideRow(values) {
+    const game = gameWithBoard(values.concat(Array(values.length * 2).fill(null)), values.length, 3);
+    game.processLine(game.getRowIndices(0));
+    return { row: codes(game).slice(0, values.length), game };
+}
+
+describe('processLine', () => {
+    test('slides tiles toward the start of the line', () => {
+        assert.deepEqual(slideRow([_, 0, _, 3]).row, [0, 3, _, _]);
+    });
+
+    test('merges a matching pair into the next flavor', () => {
+        assert.deepEqual(slideRow([0, 0, _, _]).row, [1, _, _, _]);
+        assert.deepEqual(slideRow([_, 4, _, 4]).row, [5, _, _, _]);
+    });
+
+    test('merges each tile at most once per move', () => {
+        assert.deepEqual(slideRow([1, 0, 0, _]).row, [1, 1, _, _]);
+        assert.deepEqual(slideRow([2, 2, 3, _]).row, [3, 3, _, _]);
+    });
+
+    test('merges pairs from the leading edge first', () => {
+        assert.deepEqual(slideRow([0, 0, 0, _]).row, [1, 0, _, _]);
+        assert.deepEqual(slideRow([0, 0, 0, 0]).row, [1, 1, _, _]);
+    });
+
+    test('does not merge different flavors', () => {
+        assert.deepEqual(slideRow([0, 1, 0, 1]).row, [0, 1, 0, 1]);
+    });
+
+    test('records slide and merge metadata', () => {
+        const { game } = slideRow([_, 0, _, 0]);
+        assert.deepEqual(game.animationMetadata.merges, [{ from: [1, 3], to: 0 }]);
+        assert.deepEqual(game.animationMetadata.moves, [{ from: 1, to: 0 }, { from: 3, to: 0 }]);
+        assert.ok(game.mergedTiles.has(0));
+    });
+
+    test('handles lines longer than four cells', () => {
+        assert.deepEqual(slideRow([0, _, 0, 1, _, 1, 2]).row, [1, 2, 2, _, _, _, _]);
+    });
+});
+
+describe('scoring', () => {
+    test('adds 2^(merged index) per merge', () => {
+        assert.equal(slideRow([0, 0, _, _]).game.score, 2);
+        assert.equal(slideRow([2, 2, 3, 3]).game.score, 8 + 16);
+    });
+
+    test('move() keeps the score when nothing moves', () => {
+        const game = gameWithBoard([
+            0, 1, 2, 3,
+            _, _, _, _,
+            _, _, _, _,
+            _, _, _, _
+        ]);
+        assert.equal(game.move('left'), false);
+        assert.equal(game.score, 0);
+        assert.equal(game.moves, 0);
+    });
+
+    test('move() counts the move and spawns one tile', () => {
+        const game = gameWithBoard([
+            _, _, 0, 0,
+            _, _, _, _,
+            _, _, _, _,
+            _, _, _, _
+        ]);
+        assert.equal(game.move('left'), true);
+        assert.equal(game.moves, 1);
+        assert.equal(game.score, 2);
+        assert.equal(game.board.filter((tile) => tile !== null).length, 2);
+        assert.equal(game.newTiles.length, 1);
+        assert.ok([0, 1].includes(codes(game)[game.newTiles[0]]));
+    });
+});
+
+describe('canMove', () => {
+    test('is true while any cell is empty', () => {
+        const game = gameWithBoard([
+            0, 1, 0, 1,
+            1, 0, 1, 0,
+            0, 1, 0, 1,
+            1, 0, 1, _
+        ]);
+        assert.equal(game.canMove(), true);
+    });
+
+    test('is true when a horizontal or vertical pair can merge', () => {
+        const horizontal = gameWithBoard([0, 1, 2, 3, 4, 5, 5, 6, 0, 1, 2, 3, 4, 5, 6, 7]);
+        const vertical = gameWithBoard([0, 1, 2, 3, 4, 5, 6, 7, 0, 1, 2, 3, 4, 5, 6, 3]);
+        assert.equal(horizontal.canMove(), true);
+        assert.equal(vertical.canMove(), true);
+    });
+
+    test('is false on a full board without neighbours to merge', () => {
+        const game = gameWithBoard([
+            0, 1, 0, 1,
+            1, 0, 1, 0,
+            0, 1, 0, 1,
+            1, 0, 1, 0
+        ]);
+        assert.equal(game.canMove(), false);
+    });
+
+    test('does not wrap around row edges', () => {
+        const game = gameWithBoard([
+            0, 1, 2,
+            2, 3, 4,
+            5, 6, 7
+        ], 3);
+        assert.equal(game.canMove(), false);
+    });
+});
+
+describe('empty cans', () => {
+    // Game with a can every `interval` moves, crushed by Black Cherry merges
+    function cansGame(board, interval = 2) {
+        const game = new Game({ seed: 1, rules: { blockers: { interval, clearTier: 3 } } });
+        game.board = boardFromCodes(board);
+        return game;
+    }
+
+    test('stop slides and split merges', () => {
+        assert.deepEqual(slideRow([_, 0, X, 0]).row, [0, _, X, 0]);
+        assert.deepEqual(slideRow([0, X, _, 0]).row, [0, X, 0, _]);
+        assert.deepEqual(slideRow([X, 0, 0, _]).row, [X, 1, _, _]);
+        assert.deepEqual(slideRow([0, X, X, 0]).row, [0, X, X, 0]);
+    });
+
+    test('never merge with each other', () => {
+        const game = gameWithBoard([
+            X, X, 0, 1,
+            1, 0, 1, 0,
+            0, 1, 0, 1,
+            1, 0, 1, 0
+        ]);
+        assert.equal(game.canMove(), false);
+    });
+
+    test('are crushed by merges into the clear tier next to them', () => {
+        const game = cansGame([
+            2, 2, X, _,
+            X, _, _, _,
+            _, _, _, X,
+            0, 0, X, _
+        ]);
+        const events = [];
+        game.on('blocker', (event) => events.push(event));
+        assert.equal(game.move('left'), true);
+        assert.deepEqual(game.animationMetadata.blockersCleared, [4]);
+        assert.deepEqual(events.filter((event) => event.action === 'clear'), [{ index: 4, action: 'clear' }]);
+        assert.equal(codes(game)[2], X);
+        assert.equal(codes(game)[11], X);
+        assert.equal(codes(game)[14], X);
+    });
+
+    test('land every interval moves and survive saves and replays', () => {
+        const game = cansGame([0, ...Array(15).fill(null)], 2);
+        const directions = ['right', 'down', 'left', 'up'];
+        for (let i = 0; i < 2; i++) assert.equal(game.move(directions[i]), true);
+        assert.equal(game.animationMetadata.blockersAdded.length, 1);
+        assert.equal(codes(game).filter((code) => code === X).length, 1);
+
+        const played = new Game({ seed: 7, rules: { blockers: { interval: 1, clearTier: 3 } } });
+        for (let i = 0; i < 60 && !played.gameOver; i++) played.move(directions[i % 4]);
+        assert.ok(codes(played).includes(X));
+        assert.ok(codes(played).filter((code) => code === X).length <= 4);
+        assert.equal(verifyReplay(createReplay(played), { score: played.score, moves: played.moves }).error, null);
+
+        const copy = new Game();
+        assert.equal(copy.restore(JSON.parse(JSON.stringify(played.serialize()))), true);
+        assert.deepEqual(copy.board, played.board);
+        assert.deepEqual(copy.rules.blockers, { interval: 1, clearTier: 3 });
+    });
+});
+
+describe('mystery flavor', () => {
+    test('upgrades the flavor it merges with and scores half', () => {
+        const { row, game } = slideRow([W, 3, _, _]);
+        assert.deepEqual(row, [4, _, _, _]);
+        assert.equal(game.score, 8);
+        assert.deepEqual(slideRow([2, _, W, 0]).row, [3, 0, _, _]);
+    });
+
+    test('does not merge with another wildcard or an empty can', () => {
+        assert.deepEqual(slideRow([W, W, 0, _]).row, [W, 1, _, _]);
+        assert.deepEqual(slideRow([W, X, _, _]).row, [W, X, _, _]);
+    });
+
+    test('lets a full board keep moving while it touches a flavor', () => {
+        const board = [
+            0, 1, 0, 1,
+            1, 0, 1, 0,
+            0, 1, 0, 1,
+            1, 0, 1, W
+        ];
+        assert.equal(gameWithBoard(board).canMove(), true);
+        board[14] = X;
+        board[11] = X;
+        assert.equal(gameWithBoard(board).canMove(), false);
+    });
+
+    test('merge events carry the wildcard and its points', () => {
+        const game = gameWithBoard([
+            W, 5, _, _,
+            _, _, _, _,
+            _, _, _, _,
+            _, _, _, _
+        ]);
+        const merges = [];
+        game.on('merge', (event) => merges.push(event));
+        game.move('left');
+        assert.deepEqual(merges.map(({ value, points, wildcard }) => ({ value, points, wildcard })), [
+            { value: 6, points: 32, wildcard: true }
+        ]);
+        assert.equal(game.getTileName(game.boardBefore[0]), 'Mystery Flavor');
+    });
+
+    test('only spawn when the rules allow them, and survive saves and replays', () => {
+        const directions = ['left', 'up', 'right', 'down'];
+        const spawned = [];
+        const play = (rules) => {
+            const game = new Game({ seed: 3, rules });
+            game.on('spawn', ({ kind }) => spawned.push(kind));
+            for (let i = 0; i < 80 && !game.gameOver; i++) game.move(directions[i % 4]);
+            return game;
+        };
+        const plain = play({});
+        assert.deepEqual(codes(play({ wildcardChance: 0 })), codes(plain));
+        assert.ok(!spawned.includes('wildcard'));
+
+        const wild = play({ wildcardChance: 0.25 });
+        assert.ok(spawned.includes('wildcard'));
+        assert.equal(verifyReplay(createReplay(wild), { score: wild.score, moves: wild.moves }).error, null);
+
+        const copy = new Game();
+        assert.equal(copy.restore(JSON.parse(JSON.stringify(wild.serialize()))), true);
+        assert.deepEqual(copy.board, wild.board);
+    });
+});
+
+describe('game status', () => {
+    test('detects the Ginger Root Beer win once it is created', () => {
+        const game = gameWithBoard([
+            9, 9, _, _,
+            _, _, _, _,
+            _, _, _, _,
+            _, _, _, _
+        ]);
+        const wins = [];
+        game.on('win', (event) => wins.push(event));
+        game.move('left');
+        assert.equal(game.won, true);
+        assert.equal(game.gameOver, false);
+        assert.equal(wins.length, 1);
+        assert.equal(wins[0].flavor, FLAVORS[10]);
+    });
+
+    test('flags game over when the spawn leaves no moves', () => {
+        const game = gameWithBoard([
+            1, 2, 1, 2,
+            2, 1, 2, 1,
+            1, 2, 1, 2,
+            _, 3, 4, 3
+        ]);
+        const overs = [];
+        game.on('gameover', (event) => overs.push(event));
+        game.rng.next = () => 0.5; // spawn Cola into the only empty cell
+        assert.equal(game.move('left'), true);
+        assert.equal(game.gameOver, true);
+        assert.equal(overs.length, 1);
+        assert.equal(game.move('up'), false);
+    });
+});
+
+describe('prestige tiers', () => {
+    test('merging two Orange Creamsicles starts the lineup over with a star', () => {
+        const game = gameWithBoard([
+            14, 14, _, _,
+            _, _, _, _,
+            _, _, _, _,
+            _, _, _, _
+        ]);
+        const merges = [];
+        game.on('merge', (event) => merges.push(event));
+        game.move('left');
+        assert.equal(codes(game)[0], 15);
+        assert.deepEqual(merges.map(({ value, flavor, points }) => ({ value, flavor, points })), [
+            { value: 15, flavor: 'Cola ★1', points: 32768 }
+        ]);
+    });
+
+    test('every lap adds a star', () => {
+        assert.deepEqual(flavorTier(14), { name: 'Orange Creamsicle', base: 'Orange Creamsicle', baseIndex: 14, prestige: 0 });
+        assert.deepEqual(flavorTier(29), { name: 'Orange Creamsicle ★1', base: 'Orange Creamsicle', baseIndex: 14, prestige: 1 });
+        assert.deepEqual(flavorTier(30), { name: 'Cola ★2', base: 'Cola', baseIndex: 0, prestige: 2 });
+        assert.equal(flavorTier(null), null);
+        assert.equal(flavorTier(-1), null);
+    });
+
+    test('names map back to tile values', () => {
+        const game = new Game({ seed: 1 });
+        for (const value of [0, 14, 15, 29, 47]) {
+            assert.equal(game.getFlavorIndex(game.getFlavorName(value)), value);
+        }
+        assert.equal(game.getFlavorIndex('Cola ★0'), -1);
+        assert.equal(game.getFlavorIndex('Kombucha ★1'), -1);
+    });
+});
+
+describe('seeded games', () => {
+    const directions = ['left', 'up', 'right', 'down'];
+    const play = (seed) => {
+        const game = new Game({ seed });
+        for (let i = 0; i < 200; i++) game.move(directions[i % 4]);
+        // Timing differs between runs; everything else must match
+        const { startedAt, moveLog, ...state } = game.serialize();
+        return { ...state, directions: moveLog.directions };
+    };
+
+    test('the same seed and moves produce the same game', () => {
+        assert.deepEqual(play(42), play(42));
+        assert.deepEqual(play('daily'), play('daily'));
+    });
+
+    test('different seeds diverge', () => {
+        assert.notDeepEqual(play(1).board, play(2).board);
+    });
+});
+
+describe('daily games', () => {
+    test('share a date-derived seed and the classic board size', () => {
+        const a = new Game({ mode: 'daily', dailyDate: '2026-10-19', width: 6, seed: 5 });
+        const b = new Game({ mode: 'daily', dailyDate: '2026-10-19' });
+        assert.equal(a.seed, Game.dailySeed('2026-10-19'));
+        assert.equal(a.width, 4);
+        assert.deepEqual(a.board, b.board);
+        assert.notEqual(Game.dailySeed('2026-10-20'), a.seed);
+    });
+
+    test('defaults to the current UTC date', () => {
+        const game = new Game({ mode: 'daily' });
+        assert.equal(game.dailyDate, new Date().toISOString().slice(0, 10));
+    });
+
+    test('keep their mode through serialize/restore', () => {
+        const game = new Game({ mode: 'daily', dailyDate: '2026-10-19' });
+        const copy = new Game();
+        assert.equal(copy.restore(game.serialize()), true);
+        assert.equal(copy.mode, 'daily');
+        assert.equal(copy.dailyDate, '2026-10-19');
+    });
+});
+
+describe('undo/redo', () => {
+    test('undo rewinds and redo re-applies the exact same state', () => {
+        const game = new Game({ seed: 7 });
+        ['left', 'up', 'right', 'down', 'left'].forEach((direction) => game.move(direction));
+        const after = game.getSnapshot();
+
+        while (game.undo());
+        assert.equal(game.moves, 0);
+        while (game.redo());
+        assert.deepEqual(game.getSnapshot(), after);
+        assert.equal(game.isAssisted(), true);
+    });
+
+    test('a new move clears the redo stack', () => {
+        const game = new Game({ seed: 7 });
+        game.move('left') || game.move('right');
+        game.undo();
+        game.move('up') || game.move('down');
+        assert.equal(game.canRedo(), false);
+    });
+});
+
+describe('serialize/restore', () => {
+    test('round-trips the full game state', () => {
+        const game = new Game({ width: 5, seed: 9 });
+        ['left', 'up', 'right'].forEach((direction) => game.move(direction));
+        const copy = new Game();
+        assert.equal(copy.restore(JSON.parse(JSON.stringify(game.serialize()))), true);
+        assert.deepEqual(copy.serialize(), game.serialize());
+    });
+
+    test('rejects corrupted and outdated saves without touching the game', () => {
+        const game = new Game({ seed: 9 });
+        const before = game.serialize();
+        assert.equal(game.restore({ ...before, version: SAVE_VERSION + 1 }), false);
+        assert.equal(game.restore({ ...before, board: [0, 1] }), false);
+        assert.equal(game.restore({ ...before, board: before.board.map(() => 'W') }), false);
+        assert.equal(game.restore('not a save'), false);
+        assert.deepEqual(game.serialize(), before);
+    });
+});
@@ -0,0 +1,48 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Counter, Gauge, Histogram, renderMetrics } from '../backend/metrics.mjs';
+
+describe('metrics', () => {
+    test('counters keep one series per label set', async () => {
+        const counter = new Counter('requests_total', 'Requests.');
+        counter.inc({ route: '/a', status: 200 });
+        counter.inc({ route: '/a', status: 200 });
+        counter.inc({ route: '/b', status: 404 }, 3);
+        assert.equal(await renderMetrics([counter]), [
+            '# HELP requests_total Requests.',
+            '# TYPE requests_total counter',
+            'requests_total{route="/a",status="200"} 2',
+            'requests_total{route="/b",status="404"} 3',
+            ''
+        ].join('\n'));
+    });
+
+    test('histograms count into cumulative buckets', async () => {
+        const histogram = new Histogram('latency_seconds', 'Latency.', [0.1, 1]);
+        histogram.observe({ op: 'write' }, 0.05);
+        histogram.observe({ op: 'write' }, 0.5);
+        histogram.observe({ op: 'write' }, 2);
+        const lines = (await renderMetrics([histogram])).split('\n');
+        assert.ok(lines.includes('latency_seconds_bucket{op="write",le="0.1"} 1'));
+        assert.ok(lines.includes('latency_seconds_bucket{op="write",le="1"} 2'));
+        assert.ok(lines.includes('latency_seconds_bucket{op="write",le="+Inf"} 3'));
+        assert.ok(lines.includes('latency_seconds_sum{op="write"} 2.55'));
+        assert.ok(lines.includes('latency_seconds_count{op="write"} 3'));
+    });
+
+    test('histograms time failing calls too', async () => {
+        const histogram = new Histogram('write_seconds', 'Writes.');
+        await assert.rejects(histogram.time({ op: 'save' }, async () => { throw new Error('disk full'); }));
+        assert.equal(histogram.get({ op: 'save' }).value.count, 1);
+    });
+
+    test('gauges are collected at render time and labels are escaped', async () => {
+        let open = 1;
+        const gauge = new Gauge('open_streams', 'Streams.', () => open);
+        const labelled = new Gauge('names', 'Names.', async () => [{ labels: { name: 'say "hi"\\' }, value: 1 }]);
+        open = 4;
+        const text = await renderMetrics([gauge, labelled]);
+        assert.match(text, /^open_streams 4$/m);
+        assert.match(text, /^names\{name="say \\"hi\\"\\\\"\} 1$/m);
+    });
+});
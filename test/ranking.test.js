@@ -0,0 +1,81 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_ENTRIES, PERIOD_RETENTION, periodStart, pruneEntries } from '../backend/storage/ranking.mjs';
+
+const at = (iso) => Date.parse(iso);
+
+describe('leaderboard windows', () => {
+    test('a day starts at UTC midnight', () => {
+        assert.equal(periodStart('day', at('2026-10-19T12:00:00Z')), at('2026-10-19T00:00:00Z'));
+        assert.equal(periodStart('day', at('2026-10-19T00:00:00Z')), at('2026-10-19T00:00:00Z'));
+        assert.equal(periodStart('day', at('2026-10-18T23:59:59.999Z')), at('2026-10-18T00:00:00Z'));
+    });
+
+    test('a week starts on Monday, across month and year ends', () => {
+        assert.equal(periodStart('week', at('2026-10-19T00:00:00Z')), at('2026-10-19T00:00:00Z'));
+        assert.equal(periodStart('week', at('2026-10-25T23:59:59.999Z')), at('2026-10-19T00:00:00Z'));
+        assert.equal(periodStart('week', at('2026-11-01T08:00:00Z')), at('2026-10-26T00:00:00Z'));
+        assert.equal(periodStart('week', at('2027-01-01T08:00:00Z')), at('2026-12-28T00:00:00Z'));
+    });
+
+    test('a month starts on the 1st, and all time at 0', () => {
+        assert.equal(periodStart('month', at('2026-10-31T23:59:59.999Z')), at('2026-10-01T00:00:00Z'));
+        assert.equal(periodStart('month', at('2026-11-01T00:00:00Z')), at('2026-11-01T00:00:00Z'));
+        assert.equal(periodStart('month', at('2027-01-01T00:00:00Z')), at('2027-01-01T00:00:00Z'));
+        assert.equal(periodStart('all', at('2026-10-19T12:00:00Z')), 0);
+    });
+
+    test('windows follow UTC whatever the server\'s time zone', () => {
+        const zone = process.env.TZ;
+        try {
+            process.env.TZ = 'Pacific/Kiritimati';
+            assert.equal(periodStart('day', at('2026-10-31T20:00:00Z')), at('2026-10-31T00:00:00Z'));
+            assert.equal(periodStart('month', at('2026-10-31T20:00:00Z')), at('2026-10-01T00:00:00Z'));
+        } finally {
+            if (zone === undefined) delete process.env.TZ;
+            else process.env.TZ = zone;
+        }
+    });
+});
+
+describe('retention', () => {
+    const NOW = at('2026-10-21T12:00:00Z');
+    const LAST_YEAR = at('2025-06-01T00:00:00Z');
+    const entry = (id, score, createdAt, difficulty = 'normal') => ({ id, username: id, score, moves: 10, createdAt, difficulty });
+    // `count` entries scoring from above `floor` down, all at `createdAt`
+    const many = (prefix, count, floor, createdAt) => Array.from(
+        { length: count },
+        (_, i) => entry(`${prefix}${i}`, floor + count - i, createdAt)
+    );
+    const keptIds = (entries) => new Set(pruneEntries(entries, NOW).map((e) => e.id));
+
+    test('keeps the all-time top of each difficulty', () => {
+        const kept = keptIds([
+            ...many('top', MAX_ENTRIES, 1000, LAST_YEAR),
+            entry('cut', 1, LAST_YEAR),
+            entry('hard', 1, LAST_YEAR, 'hard')
+        ]);
+        assert.equal(kept.size, MAX_ENTRIES + 1);
+        assert.equal(kept.has('cut'), false);
+        assert.equal(kept.has('hard'), true);
+    });
+
+    test('keeps each window\'s top past the all-time cap', () => {
+        const monthStart = periodStart('month', NOW);
+        const kept = keptIds([
+            ...many('top', MAX_ENTRIES, 100_000, LAST_YEAR),
+            ...many('month', PERIOD_RETENTION.month, 1000, monthStart),
+            entry('month-cut', 500, monthStart + 1),
+            entry('last-month', 999_999, monthStart - 1),
+            entry('last-month-cut', 500, monthStart - 1),
+            entry('week', 1, periodStart('week', NOW))
+        ]);
+        assert.equal(kept.has('month0'), true);
+        assert.equal(kept.has(`month${PERIOD_RETENTION.month - 1}`), true);
+        assert.equal(kept.has('month-cut'), false);
+        assert.equal(kept.has('last-month'), true);
+        assert.equal(kept.has('last-month-cut'), false);
+        assert.equal(kept.has('week'), true);
+        assert.equal(kept.size, MAX_ENTRIES + PERIOD_RETENTION.month + 1);
+    });
+});
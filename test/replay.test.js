@@ -0,0 +1,97 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../js/game.js';
+import {
+    createReplay,
+    validateReplay,
+    simulateReplay,
+    verifyReplay,
+    encodeReplayParam,
+    decodeReplayParam
+} from '../js/replay.js';
+
+const directions = ['left', 'up', 'right', 'down'];
+
+function playedGame(options = {}, count = 120) {
+    const game = new Game({ seed: 2024, ...options });
+    for (let i = 0; i < count && !game.gameOver; i++) game.move(directions[i % 4]);
+    return game;
+}
+
+describe('replays', () => {
+    test('re-simulating a replay reproduces the game', () => {
+        const game = playedGame({ width: 5 });
+        const replay = createReplay(game);
+        const { game: copy, error } = simulateReplay(replay);
+        assert.equal(error, null);
+        assert.deepEqual(copy.board, game.board);
+        assert.equal(copy.score, game.score);
+        assert.equal(copy.moves, game.moves);
+        assert.equal(replay.moves.length, game.moves);
+    });
+
+    test('undone moves are left out of the replay', () => {
+        const game = playedGame({}, 20);
+        game.undo();
+        game.undo();
+        game.move('down') || game.move('up');
+        const replay = createReplay(game);
+        assert.equal(replay.moves.length, game.moves);
+        assert.deepEqual(simulateReplay(replay).game.board, game.board);
+        assert.deepEqual(replay.assists, { undos: 2, hints: 0 });
+    });
+
+    test('can stop part way through', () => {
+        const replay = createReplay(playedGame());
+        assert.equal(simulateReplay(replay, { until: 10 }).game.moves, 10);
+    });
+
+    test('flags moves that do not change the board', () => {
+        const replay = createReplay(playedGame({}, 3));
+        const { error } = simulateReplay({ ...replay, moves: 'LLLLLLLLLL', times: undefined });
+        assert.match(error, /not legal/);
+    });
+
+    test('rejects malformed replays', () => {
+        const replay = createReplay(playedGame({}, 5));
+        assert.equal(validateReplay(replay), null);
+        assert.match(validateReplay({ ...replay, v: 99 }), /version/);
+        assert.match(validateReplay({ ...replay, moves: 'LX' }), /move list/);
+        assert.match(validateReplay({ ...replay, times: [1] }), /times/);
+        assert.match(validateReplay({ ...replay, rules: { width: 12, height: 4 } }), /dimensions/);
+        assert.match(validateReplay({ ...replay, assists: { undos: -1, hints: 0 } }), /assist/);
+        assert.match(validateReplay(null), /not an object/);
+    });
+
+    test('verifies a claimed result against the re-simulated game', () => {
+        const game = playedGame({}, 60);
+        const replay = createReplay(game);
+        const claim = { score: game.score, moves: game.moves, maxTile: replay.maxTile };
+        assert.equal(verifyReplay(replay, claim).error, null);
+        assert.equal(verifyReplay(replay, { ...claim, maxTile: null }).error, null);
+        assert.match(verifyReplay(replay, { ...claim, score: 10_000_000 }).error, /Score/);
+        assert.match(verifyReplay(replay, { ...claim, moves: claim.moves + 1 }).error, /Move count/);
+        assert.match(verifyReplay(replay, { ...claim, maxTile: claim.maxTile + 1 }).error, /Max tile/);
+        assert.match(verifyReplay({ ...replay, seed: replay.seed + 1 }, claim).error, /./);
+    });
+
+    test('holds the claimed undos and hints to the ones the replay recorded', () => {
+        const game = playedGame({}, 20);
+        game.undo();
+        game.move('down') || game.move('up');
+        const replay = createReplay(game);
+        const claim = { score: game.score, moves: game.moves, undos: 1, hints: 0 };
+        assert.equal(verifyReplay(replay, claim).error, null);
+        assert.match(verifyReplay(replay, { ...claim, undos: 0 }).error, /Undo and hint counts/);
+        assert.match(verifyReplay({ ...replay, assists: { undos: 0, hints: 0 } }, claim).error, /Undo and hint counts/);
+        assert.match(verifyReplay({ ...replay, assists: undefined }, claim).error, /Undo and hint counts/);
+    });
+
+    test('round-trips through a URL parameter', () => {
+        const replay = createReplay(playedGame({}, 30));
+        const param = encodeReplayParam(replay);
+        assert.match(param, /^[A-Za-z0-9_-]+$/);
+        assert.deepEqual(decodeReplayParam(param), replay);
+        assert.equal(decodeReplayParam('%%%'), null);
+    });
+});
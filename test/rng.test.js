@@ -0,0 +1,36 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeededRandom } from '../js/rng.js';
+
+describe('SeededRandom', () => {
+    test('is deterministic for a given seed', () => {
+        const a = new SeededRandom(123);
+        const b = new SeededRandom(123);
+        for (let i = 0; i < 50; i++) assert.equal(a.next(), b.next());
+    });
+
+    test('stays within [0, 1)', () => {
+        const rng = new SeededRandom(5);
+        for (let i = 0; i < 1000; i++) {
+            const value = rng.next();
+            assert.ok(value >= 0 && value < 1);
+        }
+    });
+
+    test('normalizes numeric strings and hashes text seeds', () => {
+        assert.equal(SeededRandom.normalizeSeed('42'), 42);
+        assert.equal(SeededRandom.normalizeSeed(42.9), 42);
+        assert.equal(SeededRandom.normalizeSeed('zevia'), SeededRandom.normalizeSeed('zevia'));
+        assert.notEqual(SeededRandom.normalizeSeed('zevia'), SeededRandom.normalizeSeed('Zevia'));
+    });
+
+    test('resumes from a saved state', () => {
+        const rng = new SeededRandom(99);
+        rng.next();
+        const state = rng.getState();
+        const expected = [rng.next(), rng.next()];
+        const resumed = new SeededRandom(1);
+        resumed.setState(state);
+        assert.deepEqual([resumed.next(), resumed.next()], expected);
+    });
+});
@@ -0,0 +1,537 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Game } from '../js/game.js';
+import { loadPacks } from '../js/flavor-packs.js';
+import { buildSubmission } from '../js/leaderboard.js';
+
+const SERVER_FILE = fileURLToPath(new URL('../backend/server.mjs', import.meta.url));
+const PACKS_DIR = fileURLToPath(new URL('../assets/packs/', import.meta.url));
+const directions = ['left', 'up', 'right', 'down'];
+
+// Run the API on a free port with a JSON store of its own, seeded with
+// `files` ({ 'leaderboard.json': [entries] }). Requests set X-Forwarded-For,
+// so the server trusts it as if it ran behind a proxy.
+async function startServer({ env = {}, files = {} } = {}) {
+    const dataDir = await mkdtemp(path.join(tmpdir(), 'zevia-server-'));
+    for (const [name, data] of Object.entries(files)) {
+        await writeFile(path.join(dataDir, name), JSON.stringify(data));
+    }
+    const child = spawn(process.execPath, [SERVER_FILE], {
+        env: { ...process.env, PORT: '0', STORAGE: 'json', DATA_DIR: dataDir, BLOCKLIST_FILE: '', TRUST_PROXY: '1', ...env },
+        stdio: ['ignore', 'pipe', 'ignore']
+    });
+    const url = await new Promise((resolve, reject) => {
+        let pending = '';
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', (chunk) => {
+            pending += chunk;
+            const lines = pending.split('\n');
+            pending = lines.pop();
+            lines.map((line) => JSON.parse(line))
+                .filter((line) => line.msg === 'Leaderboard API listening')
+                .forEach((line) => resolve(line.url));
+        });
+        child.once('exit', (code) => reject(new Error(`Server exited with code ${code}`)));
+    });
+    return {
+        url,
+        dataDir,
+        async stop() {
+            child.kill();
+            await once(child, 'exit');
+            await rm(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+// JSON request; every caller picks its own IP so rate limits don't collide
+async function request(server, route, { method = 'GET', body, ip = '198.51.100.1', token } = {}) {
+    const headers = { 'X-Forwarded-For': ip };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`${server.url}${route}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Live leaderboard stream: next() resolves with the next { event, data }
+async function openStream(server, query = '') {
+    const controller = new AbortController();
+    const response = await fetch(`${server.url}/api/leaderboard/stream${query}`, { signal: controller.signal });
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    const events = [];
+    let pending = '';
+    return {
+        status: response.status,
+        async next() {
+            while (events.length === 0) {
+                const { value, done } = await reader.read();
+                if (done) throw new Error('Stream ended');
+                const blocks = (pending + value).split('\n\n');
+                pending = blocks.pop();
+                blocks.forEach((block) => {
+                    const fields = Object.fromEntries(block.split('\n').map((line) => line.split(/: (.*)/s)));
+                    if (fields.event) events.push({ event: fields.event, data: JSON.parse(fields.data) });
+                });
+            }
+            return events.shift();
+        },
+        close() {
+            controller.abort();
+        }
+    };
+}
+
+async function streamClients(server) {
+    const metrics = await (await fetch(`${server.url}/metrics`)).text();
+    return Number(metrics.match(/^zevia_stream_clients (\d+)$/m)[1]);
+}
+
+function playedGame(options = {}, count = 40) {
+    const game = new Game({ seed: 2024, ...options });
+    for (let i = 0; i < count && !game.gameOver; i++) game.move(directions[i % 4]);
+    return game;
+}
+
+function submit(server, game, username, options = {}) {
+    const { path: route, body } = buildSubmission(game, username);
+    return request(server, route, { method: 'POST', ...options, body: { ...body, ...options.body } });
+}
+
+describe('score submissions', () => {
+    let server;
+
+    before(async () => {
+        await loadPacks(async (file) => JSON.parse(await readFile(path.join(PACKS_DIR, file), 'utf8')));
+        server = await startServer();
+    });
+    after(() => server.stop());
+
+    test('accepts a verified 4x4 game and ranks it', async () => {
+        const game = playedGame();
+        const { status, body } = await submit(server, game, 'Verified', { ip: '198.51.100.10' });
+        assert.equal(status, 201);
+        assert.equal(body.rank, 1);
+
+        const board = await request(server, '/api/leaderboard');
+        assert.deepEqual(board.body.entries.map(({ username, score }) => ({ username, score })), [
+            { username: 'Verified', score: game.score }
+        ]);
+    });
+
+    test('rejects a replay that does not reproduce the claimed score', async () => {
+        const game = playedGame({ seed: 7 });
+        const { status, body } = await submit(server, game, 'Padded', {
+            ip: '198.51.100.11',
+            body: { score: game.score + 4 }
+        });
+        assert.equal(status, 400);
+        assert.match(body.error, /Replay rejected/);
+    });
+
+    test('rejects undo and hint counts the replay did not record', async () => {
+        const game = playedGame({ seed: 7 });
+        game.undo();
+        const { status, body } = await submit(server, game, 'Unassisted', {
+            ip: '198.51.100.13',
+            body: { undos: 0 }
+        });
+        assert.equal(status, 400);
+        assert.match(body.error, /Undo and hint counts/);
+    });
+
+    test('refuses boards other than 4x4 and other flavor packs', async () => {
+        const ip = '198.51.100.12';
+        const wide = await submit(server, playedGame({ width: 8 }, 120), 'Wide', { ip });
+        assert.equal(wide.status, 400);
+        assert.match(wide.body.error, /Only 4x4 games with the Zevia Classic flavors/);
+        const dessert = await submit(server, playedGame({ pack: 'dessert-bar' }), 'Dessert', { ip });
+        assert.equal(dessert.status, 400);
+        assert.match(dessert.body.error, /Only 4x4 games/);
+
+        const board = await request(server, '/api/leaderboard');
+        assert.deepEqual(board.body.entries.map(({ username, width, height }) => ({ username, width, height })), [
+            { username: 'Verified', width: 4, height: 4 }
+        ]);
+    });
+});
+
+describe('difficulties', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.stop());
+
+    test('rank each game on the board of its difficulty', async () => {
+        const easy = await submit(server, playedGame({ rules: { difficulty: 'easy' } }), 'Relaxed', { ip: '198.51.100.13' });
+        assert.equal(easy.status, 201);
+        assert.equal(easy.body.rank, 1);
+
+        const names = async (difficulty) => (await request(server, `/api/leaderboard?difficulty=${difficulty}`)).body.entries
+            .map((entry) => [entry.username, entry.difficulty]);
+        assert.deepEqual(await names('easy'), [['Relaxed', 'easy']]);
+        assert.deepEqual(await names('normal'), []);
+        assert.equal((await request(server, '/api/leaderboard?difficulty=nightmare')).status, 400);
+
+        const metrics = await (await fetch(`${server.url}/metrics`)).text();
+        assert.match(metrics, /^zevia_leaderboard_entries\{difficulty="easy"\} 1$/m);
+        assert.match(metrics, /^zevia_leaderboard_entries\{difficulty="normal"\} 0$/m);
+    });
+
+    test('refuse Empty Cans games', async () => {
+        const game = playedGame({ rules: { blockers: true } });
+        const { status, body } = await submit(server, game, 'Canner', { ip: '198.51.100.14' });
+        assert.equal(status, 400);
+        assert.match(body.error, /without variants/);
+    });
+});
+
+describe('path parameters', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.stop());
+
+    test('a malformed daily date is a bad request', async () => {
+        const { status, body } = await request(server, '/api/daily/%E0');
+        assert.equal(status, 400);
+        assert.match(body.error, /Invalid date/);
+        assert.equal((await request(server, '/api/daily/%E0', { method: 'POST', body: {}, ip: '198.51.100.20' })).status, 400);
+    });
+
+    test('a malformed entry id is a bad request', async () => {
+        const { status, body } = await request(server, '/api/leaderboard/around/%E0');
+        assert.equal(status, 400);
+        assert.match(body.error, /Invalid entry id/);
+        assert.equal((await request(server, '/api/leaderboard/around/missing')).status, 404);
+    });
+
+    test('a malformed profile name is a bad request', async () => {
+        const { status, body } = await request(server, '/api/users/%E0');
+        assert.equal(status, 400);
+        assert.match(body.error, /Invalid username/);
+        assert.equal((await request(server, '/api/users/Nobody')).status, 404);
+    });
+});
+
+describe('leaderboard windows', () => {
+    const DAY_MS = 86_400_000;
+    const now = Date.now();
+    const entry = (id, score, createdAt) => ({
+        id, username: `Player ${id}`, score, moves: 10, maxTile: 3, undos: 0, hints: 0, createdAt
+    });
+    let server;
+
+    before(async () => {
+        server = await startServer({
+            files: { 'leaderboard.json': [entry('old', 900, now - 40 * DAY_MS), entry('new', 100, now)] }
+        });
+    });
+    after(() => server.stop());
+
+    test('list only the entries since the window started', async () => {
+        const names = async (period) => {
+            const { body } = await request(server, `/api/leaderboard?period=${period}`);
+            return body.entries.map((e) => e.username);
+        };
+        assert.deepEqual(await names('all'), ['Player old', 'Player new']);
+        assert.deepEqual(await names('month'), ['Player new']);
+        assert.deepEqual(await names('week'), ['Player new']);
+        assert.deepEqual(await names('day'), ['Player new']);
+
+        const { body } = await request(server, '/api/leaderboard/rank?score=500&period=week');
+        assert.deepEqual({ rank: body.rank, total: body.total }, { rank: 1, total: 1 });
+    });
+
+    test('start at UTC midnight, on Monday and on the 1st', async () => {
+        const since = async (period) => (await request(server, `/api/leaderboard?period=${period}`)).body.since;
+        const day = await since('day');
+        assert.equal(day % DAY_MS, 0);
+        assert.ok(day <= now && now - day < DAY_MS);
+        const week = new Date(await since('week'));
+        assert.equal(week.getUTCDay(), 1);
+        assert.equal(week.getTime() % DAY_MS, 0);
+        assert.ok(day - week.getTime() < 7 * DAY_MS);
+        const month = new Date(await since('month'));
+        assert.equal(month.getUTCDate(), 1);
+        assert.equal(month.getUTCMonth(), new Date(day).getUTCMonth());
+        assert.equal(await since('all'), 0);
+    });
+
+    test('reject unknown windows', async () => {
+        const { status, body } = await request(server, '/api/leaderboard?period=year');
+        assert.equal(status, 400);
+        assert.match(body.error, /Invalid period/);
+    });
+});
+
+describe('retention', () => {
+    const LAST_YEAR = Date.now() - 400 * 86_400_000;
+    const entry = (id, score, createdAt) => ({
+        id, username: `Player ${id}`, score, moves: 10, maxTile: 3, undos: 0, hints: 0, createdAt
+    });
+    // `count` entries scoring from above `floor` down, all at `createdAt`
+    const many = (prefix, count, floor, createdAt) => Array.from(
+        { length: count },
+        (_, i) => entry(`${prefix}${i}`, floor + count - i, createdAt)
+    );
+    let server;
+
+    before(async () => {
+        const today = Date.now() - 1000;
+        server = await startServer({
+            files: {
+                'leaderboard.json': [
+                    ...many('top', 5000, 100_000, LAST_YEAR),
+                    ...many('today', 1000, 10_000, today),
+                    entry('today-cut', 10_000, today),
+                    entry('old-cut', 100_000, LAST_YEAR)
+                ]
+            }
+        });
+    });
+    after(() => server.stop());
+
+    test('keeps the all-time top and each window\'s top past it', async () => {
+        // Any write prunes; this low score is cut from every window too
+        const game = playedGame();
+        assert.ok(game.score < 10_000);
+        assert.equal((await submit(server, game, 'Newcomer', { ip: '198.51.100.14' })).status, 201);
+
+        const kept = JSON.parse(await readFile(path.join(server.dataDir, 'leaderboard.json'), 'utf8'));
+        const ids = new Set(kept.map((e) => e.id));
+        assert.equal(ids.has('top4999'), true);
+        assert.equal(ids.has('old-cut'), false);
+        assert.equal(ids.has('today999'), true);
+        assert.equal(ids.has('today-cut'), false);
+        assert.equal(kept.length, 5000 + 1000);
+    });
+});
+
+describe('claimed names', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.stop());
+
+    test('the first score claims a name and later ones need its token', async () => {
+        const ip = '198.51.100.30';
+        const first = await submit(server, playedGame(), 'Claimer', { ip });
+        assert.equal(first.status, 201);
+        assert.ok(first.body.token);
+        assert.match(first.body.recoveryCode, /^[A-Z2-9]{4}(-[A-Z2-9]{4}){3}$/);
+
+        const stranger = await submit(server, playedGame({ seed: 5 }), 'claimer', { ip });
+        assert.equal(stranger.status, 403);
+        const owner = await submit(server, playedGame({ seed: 5 }), 'Claimer', { ip, token: first.body.token });
+        assert.equal(owner.status, 201);
+        assert.equal(owner.body.token, undefined);
+    });
+
+    test('of two first scores racing for a name, only one claims it', async () => {
+        const results = await Promise.all([
+            submit(server, playedGame({ seed: 8 }), 'Racer', { ip: '198.51.100.31' }),
+            submit(server, playedGame({ seed: 9 }), 'Racer', { ip: '198.51.100.32' })
+        ]);
+        assert.deepEqual(results.map((result) => result.status).sort(), [201, 403]);
+    });
+
+    test('rotating swaps the token and recovering swaps both secrets', async () => {
+        const ip = '198.51.100.33';
+        const { body: claimed } = await submit(server, playedGame({ seed: 10 }), 'Mover', { ip });
+
+        assert.equal((await request(server, '/api/users/Mover/token', { method: 'POST', token: 'wrong', ip })).status, 403);
+        const rotated = await request(server, '/api/users/Mover/token', { method: 'POST', token: claimed.token, ip });
+        assert.equal(rotated.status, 200);
+        assert.notEqual(rotated.body.token, claimed.token);
+        assert.equal((await submit(server, playedGame({ seed: 11 }), 'Mover', { ip, token: claimed.token })).status, 403);
+
+        const recover = (recoveryCode) => request(server, '/api/users/mover/recover', { method: 'POST', body: { recoveryCode }, ip });
+        assert.equal((await recover('AAAA-AAAA-AAAA-AAAA')).status, 403);
+        const recovered = await recover(claimed.recoveryCode.toLowerCase().replaceAll('-', ' '));
+        assert.equal(recovered.status, 200);
+        assert.equal(recovered.body.username, 'Mover');
+        assert.notEqual(recovered.body.recoveryCode, claimed.recoveryCode);
+        assert.equal((await recover(claimed.recoveryCode)).status, 403);
+        assert.equal((await submit(server, playedGame({ seed: 11 }), 'Mover', { ip, token: rotated.body.token })).status, 403);
+        assert.equal((await submit(server, playedGame({ seed: 11 }), 'Mover', { ip, token: recovered.body.token })).status, 201);
+        assert.equal((await request(server, '/api/users/Nobody/token', { method: 'POST', ip })).status, 404);
+    });
+
+    test('a score that fails to save leaves its name unclaimed', async () => {
+        const broken = await startServer();
+        try {
+            // A directory where the leaderboard file should be fails every write
+            const entriesFile = path.join(broken.dataDir, 'leaderboard.json');
+            await rm(entriesFile);
+            await mkdir(entriesFile);
+            const failed = await submit(broken, playedGame(), 'Unlucky', { ip: '198.51.100.34' });
+            assert.equal(failed.status, 400);
+            assert.equal(failed.body.token, undefined);
+
+            const users = JSON.parse(await readFile(path.join(broken.dataDir, 'users.json'), 'utf8'));
+            assert.deepEqual(users, {});
+        } finally {
+            await broken.stop();
+        }
+    });
+});
+
+describe('admin API', () => {
+    const ADMIN_TOKEN = 'test-admin-token';
+    const admin = { token: ADMIN_TOKEN, ip: '198.51.100.50' };
+    const entry = (id, username, score) => ({
+        id, username, score, moves: 10, maxTile: 3, undos: 0, hints: 0, difficulty: 'normal', createdAt: Date.now() - 1000
+    });
+    let server;
+
+    before(async () => {
+        server = await startServer({
+            env: { ADMIN_TOKEN },
+            files: { 'leaderboard.json': [entry('e1', 'Honest', 200), entry('e2', 'Cheater', 900)] }
+        });
+    });
+    after(() => server.stop());
+
+    test('needs the admin token, and only exists when one is set', async () => {
+        const ip = '198.51.100.51';
+        assert.equal((await request(server, '/api/admin/entries', { ip })).status, 401);
+        assert.equal((await request(server, '/api/admin/entries', { ip, token: 'guess' })).status, 401);
+        assert.equal((await request(server, '/api/admin/entries', admin)).status, 200);
+
+        const plain = await startServer();
+        try {
+            assert.equal((await request(plain, '/api/admin/entries', admin)).status, 404);
+        } finally {
+            await plain.stop();
+        }
+    });
+
+    test('hiding an entry takes it off public reads until it is unhidden', async () => {
+        const names = async () => (await request(server, '/api/leaderboard')).body.entries.map((e) => e.username);
+        const hidden = await request(server, '/api/admin/entries/e2/hide', { method: 'POST', ...admin });
+        assert.equal(hidden.status, 200);
+        assert.equal(hidden.body.entry.hidden, true);
+        assert.deepEqual(await names(), ['Honest']);
+        const listed = await request(server, '/api/admin/entries?username=Cheater', admin);
+        assert.deepEqual(listed.body.entries.map((e) => [e.id, e.hidden]), [['e2', true]]);
+
+        await request(server, '/api/admin/entries/e2/unhide', { method: 'POST', ...admin });
+        assert.deepEqual(await names(), ['Cheater', 'Honest']);
+        assert.equal((await request(server, '/api/admin/entries/missing/hide', { method: 'POST', ...admin })).status, 404);
+        assert.equal((await request(server, '/api/admin/entries/%E0/hide', { method: 'POST', ...admin })).status, 400);
+
+        const { body } = await request(server, '/api/admin/audit?limit=2', admin);
+        assert.deepEqual(body.entries.map((record) => [record.action, record.target]), [['entry.unhide', 'e2'], ['entry.hide', 'e2']]);
+    });
+
+    test('bans refuse submissions and hide a banned name\'s entries', async () => {
+        const ban = (type, value) => request(server, '/api/admin/bans', { method: 'POST', body: { type, value, reason: 'test' }, ...admin });
+        const banned = await ban('username', 'CHEATER');
+        assert.equal(banned.status, 201);
+        assert.equal(banned.body.hiddenEntries, 1);
+        assert.equal((await request(server, '/api/leaderboard')).body.total, 1);
+        const refused = await submit(server, playedGame(), 'cheater', { ip: '198.51.100.52' });
+        assert.equal(refused.status, 403);
+        assert.match(refused.body.error, /banned/);
+
+        assert.equal((await ban('ip', '198.51.100.53')).status, 201);
+        assert.equal((await submit(server, playedGame(), 'Newcomer', { ip: '198.51.100.53' })).status, 403);
+        assert.equal((await ban('planet', 'Mars')).status, 400);
+        assert.deepEqual((await request(server, '/api/admin/bans', admin)).body.bans.map((b) => b.value).sort(), ['198.51.100.53', 'cheater']);
+
+        const lift = (route) => request(server, `/api/admin/bans/${route}`, { method: 'DELETE', ...admin });
+        assert.equal((await lift('username/Cheater')).status, 200);
+        assert.equal((await lift('username/Cheater')).status, 404);
+        assert.equal((await lift('username/%E0')).status, 400);
+        assert.equal((await submit(server, playedGame(), 'Cheater', { ip: '198.51.100.52' })).status, 201);
+        // Lifting a ban leaves the entries it hid hidden
+        assert.equal((await request(server, '/api/leaderboard')).body.total, 2);
+    });
+
+    test('bans the connecting address unless TRUST_PROXY is set', async () => {
+        const direct = await startServer({ env: { ADMIN_TOKEN, TRUST_PROXY: '' } });
+        try {
+            const spoofed = { ip: '198.51.100.54' };
+            const ban = { type: 'ip', value: spoofed.ip, reason: 'test' };
+            assert.equal((await request(direct, '/api/admin/bans', { method: 'POST', body: ban, ...admin })).status, 201);
+            // Without a proxy the header is the client's own claim, so it neither
+            // gets the client banned nor lets it pick another address
+            assert.equal((await submit(direct, playedGame(), 'Spoofer', spoofed)).status, 201);
+            const { body } = await request(direct, '/api/admin/audit?limit=1', admin);
+            assert.notEqual(body.entries[0].ip, admin.ip);
+        } finally {
+            await direct.stop();
+        }
+    });
+});
+
+describe('live leaderboard stream', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+    after(() => server.stop());
+
+    test('opens with a snapshot and pushes updates with the new entry\'s rank', async () => {
+        const stream = await openStream(server, '?limit=2');
+        assert.equal(stream.status, 200);
+        try {
+            assert.deepEqual(await stream.next(), {
+                event: 'snapshot',
+                data: { period: 'all', difficulty: 'normal', total: 0, entries: [] }
+            });
+
+            const high = playedGame({ seed: 21 }, 60);
+            const low = playedGame({ seed: 22 }, 10);
+            assert.ok(high.score > low.score);
+            await submit(server, high, 'Streamer', { ip: '198.51.100.60' });
+            const first = await stream.next();
+            assert.equal(first.event, 'update');
+            assert.equal(first.data.arrival, 1);
+            assert.deepEqual(first.data.entries.map((e) => [e.rank, e.username, e.score]), [[1, 'Streamer', high.score]]);
+
+            await submit(server, low, 'Follower', { ip: '198.51.100.61' });
+            const second = await stream.next();
+            assert.equal(second.data.arrival, 2);
+            assert.equal(second.data.total, 2);
+            assert.deepEqual(second.data.entries.map((e) => e.username), ['Streamer', 'Follower']);
+        } finally {
+            stream.close();
+        }
+    });
+
+    test('forgets clients that disconnect', async () => {
+        const streams = [await openStream(server), await openStream(server, '?period=day')];
+        await Promise.all(streams.map((stream) => stream.next()));
+        assert.equal(await streamClients(server), 2);
+
+        streams.forEach((stream) => stream.close());
+        for (let i = 0; i < 50 && await streamClients(server) > 0; i++) {
+            await new Promise((resolve) => setTimeout(resolve, 20));
+        }
+        assert.equal(await streamClients(server), 0);
+    });
+
+    test('rejects unknown windows before opening', async () => {
+        const stream = await openStream(server, '?period=year');
+        assert.equal(stream.status, 400);
+        stream.close();
+    });
+});
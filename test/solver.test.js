@@ -0,0 +1,64 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../js/game.js';
+import { Solver, findBestMove } from '../js/solver.js';
+import { boardFromCodes } from '../js/tiles.js';
+
+const _ = null;
+
+describe('Solver', () => {
+    test('returns null when no direction changes the board', () => {
+        const board = boardFromCodes([
+            0, 1, 0, 1,
+            1, 0, 1, 0,
+            0, 1, 0, 1,
+            1, 0, 1, 0
+        ]);
+        const { direction, scores } = findBestMove({ board, width: 4, height: 4 });
+        assert.equal(direction, null);
+        assert.deepEqual(scores, {});
+    });
+
+    test('only scores directions that move something', () => {
+        const board = boardFromCodes([
+            3, 2, 1, 0,
+            _, _, _, _,
+            _, _, _, _,
+            _, _, _, _
+        ]);
+        const { scores } = findBestMove({ board, width: 4, height: 4 });
+        assert.deepEqual(Object.keys(scores).sort(), ['down']);
+    });
+
+    test('prefers merging over scattering a full board', () => {
+        const board = boardFromCodes([
+            5, 5, 2, 1,
+            4, 3, 1, 0,
+            3, 2, 0, 1,
+            2, 1, 1, 0
+        ]);
+        const { direction } = findBestMove({ board, width: 4, height: 4 });
+        assert.ok(['left', 'right'].includes(direction));
+    });
+
+    test('does not mutate the input board', () => {
+        const board = boardFromCodes([_, 0, _, 0, _, _, _, _, _]);
+        findBestMove({ board, width: 3, height: 3 });
+        assert.deepEqual(board, boardFromCodes([_, 0, _, 0, _, _, _, _, _]));
+    });
+
+    test('outplays a fixed move cycle on the same seed', () => {
+        const cycle = new Game({ seed: 11 });
+        const directions = ['left', 'up', 'right', 'down'];
+        for (let i = 0; !cycle.gameOver && i < 400; i++) cycle.move(directions[i % 4]);
+
+        const solved = new Game({ seed: 11 });
+        const solver = new Solver({ width: 4, height: 4, depth: 1 });
+        for (let i = 0; !solved.gameOver && i < 400; i++) {
+            const { direction } = solver.findBestMove(solved.board);
+            if (!direction) break;
+            solved.move(direction);
+        }
+        assert.ok(solved.score > cycle.score);
+    });
+});
@@ -0,0 +1,166 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createStorage } from '../backend/storage/index.mjs';
+import { periodStart } from '../backend/storage/ranking.mjs';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+const entry = (id, username, score, moves, createdAt = NOW) => ({
+    id, username, score, moves, maxTile: 5, undos: 0, hints: 0, rules: { width: 4, height: 4 }, replay: null, createdAt
+});
+
+// Every adapter must pass the same contract
+function storageContract(driver) {
+    let dir;
+    let store;
+
+    before(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'zevia-storage-'));
+        store = await createStorage({ driver, dataDir: dir });
+        await store.addEntry(entry('a', 'Ada', 100, 50), NOW);
+        await store.addEntry(entry('b', 'Bo', 300, 80, NOW - 40 * 86_400_000), NOW);
+        await store.addEntry(entry('c', 'ada', 100, 40), NOW);
+        await store.addEntry(entry('d', 'Cy', 100, 40, NOW + 1), NOW);
+    });
+
+    after(async () => {
+        await store.close();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    test('lists entries in rank order with a total', async () => {
+        const { total, entries } = await store.listEntries({ offset: 1, limit: 2 });
+        assert.equal(total, 4);
+        assert.deepEqual(entries.map((e) => e.id), ['c', 'd']);
+        assert.deepEqual(entries[0].rules, { width: 4, height: 4 });
+    });
+
+    test('filters by window start', async () => {
+        const { total } = await store.listEntries({ since: periodStart('month', NOW), limit: 10 });
+        assert.equal(total, 3);
+    });
+
+    test('ranks a hypothetical score behind equal older entries', async () => {
+        assert.deepEqual(await store.rankForScore({ score: 100, moves: 45 }), { rank: 4, total: 4 });
+        assert.deepEqual(await store.rankForScore({ score: 100 }), { rank: 5, total: 4 });
+    });
+
+    test('finds an entry with its neighbours', async () => {
+        const around = await store.findAround({ id: 'd', n: 1 });
+        assert.equal(around.rank, 3);
+        assert.equal(around.firstRank, 2);
+        assert.deepEqual(around.entries.map((e) => e.id), ['c', 'd', 'a']);
+        assert.equal(await store.findAround({ id: 'missing', n: 1 }), null);
+    });
+
+    test('collects a player\'s entries case-insensitively', async () => {
+        const own = await store.getUserEntries('ADA');
+        assert.deepEqual(own.map((e) => e.id).sort(), ['a', 'c']);
+        assert.equal(await store.rankOfEntry('c'), 2);
+    });
+
+    test('skips known ids on import', async () => {
+        assert.equal(await store.importEntries([entry('a', 'Ada', 1, 1), entry('e', 'Eve', 5, 5)], NOW), 1);
+        assert.equal((await store.listEntries({ limit: 10 })).total, 5);
+    });
+
+    test('keeps one daily entry per name and drops old boards', async () => {
+        assert.equal(await store.addDailyEntry('2026-10-19', entry('x', 'Ada', 10, 5), NOW), 1);
+        assert.equal(await store.addDailyEntry('2026-10-19', entry('y', 'Bo', 20, 5), NOW), 1);
+        assert.equal(await store.hasDailyEntry('2026-10-19', 'ada'), true);
+        assert.equal(await store.hasDailyEntry('2026-10-18', 'ada'), false);
+        assert.deepEqual((await store.listDaily('2026-10-19', 10)).map((e) => e.id), ['y', 'x']);
+
+        await store.importDaily({ '2020-01-01': [entry('z', 'Old', 1, 1)] }, NOW);
+        assert.deepEqual(await store.listDaily('2020-01-01', 10), []);
+    });
+
+    test('stores claimed names by lowercase key', async () => {
+        const user = { username: 'Ada', tokenHash: 't', recoveryHash: 'r', createdAt: NOW, rotatedAt: NOW };
+        await store.saveUser(user);
+        assert.deepEqual(await store.getUser('ADA'), user);
+        assert.equal(await store.getUser('nobody'), null);
+    });
+
+    test('claims a name only while it is free', async () => {
+        const claim = (tokenHash) => ({ username: 'Neo', tokenHash, recoveryHash: 'r', createdAt: NOW, rotatedAt: NOW });
+        const results = await Promise.all([store.claimUser(claim('first')), store.claimUser(claim('second'))]);
+        assert.deepEqual(results, [true, false]);
+        assert.equal((await store.getUser('neo')).tokenHash, 'first');
+        assert.equal(await store.claimUser({ ...claim('third'), username: 'NEO' }), false);
+
+        await store.deleteUser('neo');
+        assert.equal(await store.getUser('Neo'), null);
+        assert.equal(await store.claimUser(claim('fourth')), true);
+    });
+
+    test('hidden entries drop out of public reads but not admin ones', async () => {
+        const { entry, date } = await store.setEntryHidden('c', true);
+        assert.equal(entry.hidden, true);
+        assert.equal(date, null);
+        assert.deepEqual((await store.listEntries({ limit: 10 })).entries.map((e) => e.id), ['b', 'd', 'a', 'e']);
+        assert.equal(await store.rankOfEntry('c'), null);
+        assert.equal(await store.findAround({ id: 'c', n: 1 }), null);
+        assert.deepEqual((await store.getUserEntries('ada')).map((e) => e.id), ['a']);
+
+        const all = await store.listAllEntries({ username: 'ada', limit: 10 });
+        assert.equal(all.total, 2);
+        assert.equal(all.entries.find((e) => e.id === 'c').hidden, true);
+        await store.setEntryHidden('c', false);
+        assert.equal(await store.rankOfEntry('c'), 2);
+    });
+
+    test('hides every entry under a banned name and deletes across boards', async () => {
+        assert.equal(await store.hideUserEntries('BO'), 2);
+        assert.deepEqual((await store.listDaily('2026-10-19', 10)).map((e) => e.id), ['x']);
+        assert.equal((await store.deleteEntry('x')).date, '2026-10-19');
+        assert.equal((await store.listAllEntries({ date: '2026-10-19', limit: 10 })).total, 1);
+        assert.equal(await store.deleteEntry('x'), null);
+    });
+
+    test('deletes entries in bulk by id', async () => {
+        await store.importEntries([entry('p1', 'Pru', 1, 1), entry('p2', 'Pru', 2, 1)], NOW);
+        await store.addDailyEntry('2026-10-19', entry('p3', 'Pru', 3, 1), NOW);
+        assert.equal(await store.deleteEntries(['p1', 'p2', 'p3', 'missing']), 3);
+        assert.equal((await store.listAllEntries({ username: 'pru', limit: 10 })).total, 0);
+        assert.equal((await store.listAllEntries({ date: '2026-10-19', username: 'pru', limit: 10 })).total, 0);
+        assert.equal(await store.deleteEntries([]), 0);
+    });
+
+    test('stores bans and the audit log', async () => {
+        await store.addBan({ type: 'ip', value: '10.0.0.1', reason: 'spam', createdAt: NOW });
+        await store.addBan({ type: 'ip', value: '10.0.0.1', reason: 'bot', createdAt: NOW + 1 });
+        assert.deepEqual(await store.listBans(), [{ type: 'ip', value: '10.0.0.1', reason: 'bot', createdAt: NOW + 1 }]);
+        assert.equal(await store.findBan('username', '10.0.0.1'), null);
+        assert.equal(await store.removeBan('ip', '10.0.0.1'), true);
+        assert.equal(await store.removeBan('ip', '10.0.0.1'), false);
+
+        await store.addAudit({ at: NOW, action: 'ban.add', target: 'ip:10.0.0.1', details: { reason: 'bot' }, ip: '::1' });
+        await store.addAudit({ at: NOW + 1, action: 'ban.remove', target: 'ip:10.0.0.1', details: null, ip: '::1' });
+        assert.deepEqual((await store.listAudit(1)).map((record) => record.action), ['ban.remove']);
+        assert.deepEqual((await store.listAudit(5))[1].details, { reason: 'bot' });
+    });
+
+    test('ranks each difficulty on its own board', async () => {
+        const hard = (id, score) => ({ ...entry(id, 'Hal', score, 10), difficulty: 'hard' });
+        await store.addEntry(hard('h1', 50), NOW);
+        assert.equal(await store.addEntry(hard('h2', 20), NOW), 2);
+
+        const board = await store.listEntries({ difficulty: 'hard', limit: 10 });
+        assert.equal(board.total, 2);
+        assert.deepEqual(board.entries.map((e) => e.id), ['h1', 'h2']);
+        assert.equal(board.entries[0].difficulty, 'hard');
+        assert.equal((await store.listEntries({ limit: 10 })).entries.some((e) => e.id.startsWith('h')), false);
+        assert.deepEqual(await store.rankForScore({ difficulty: 'hard', score: 30 }), { rank: 2, total: 2 });
+        assert.equal(await store.rankOfEntry('h2'), 2);
+        assert.equal(await store.findAround({ id: 'h1', n: 1 }), null);
+        assert.equal((await store.findAround({ difficulty: 'hard', id: 'h1', n: 1 })).rank, 1);
+    });
+}
+
+describe('json storage', () => storageContract('json'));
+describe('sqlite storage', { skip: !hasSqlite && 'node:sqlite needs Node 22.5+' }, () => storageContract('sqlite'));
@@ -0,0 +1,33 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { isBlockedName, validateScorePayload } from '../backend/validation.mjs';
+
+describe('score validation', () => {
+    test('normalizes a valid payload', () => {
+        assert.deepEqual(validateScorePayload({ username: '  Ada   Lovelace ', score: '4096', moves: 300.7 }), {
+            ok: true,
+            value: { username: 'Ada Lovelace', score: 4096, moves: 300, maxTile: null, undos: 0, hints: 0 }
+        });
+    });
+
+    test('rejects out-of-range fields', () => {
+        assert.equal(validateScorePayload({ username: 'Ada', score: -1, moves: 1 }).error, 'Invalid score.');
+        assert.equal(validateScorePayload({ username: 'Ada', score: 1, moves: 1, maxTile: 54 }).error, 'Invalid maxTile.');
+        assert.equal(validateScorePayload({ username: 'Ada', score: 2 ** 53, moves: 1 }).error, 'Invalid score.');
+        assert.equal(validateScorePayload({ username: 'A!', score: 1, moves: 1 }).error, 'Invalid username (3-16 chars).');
+    });
+
+    test('accepts Prestige tiers and scores past the original lineup', () => {
+        const prestige = validateScorePayload({ username: 'Ada', score: 25_000_000, moves: 40_000, maxTile: 30 });
+        assert.equal(prestige.ok, true);
+        assert.equal(prestige.value.maxTile, 30);
+        assert.equal(prestige.value.score, 25_000_000);
+    });
+
+    test('matches blocked terms through separators and lookalike digits', () => {
+        assert.equal(isBlockedName('B.a.d_W0rd', ['badword']), true);
+        assert.equal(isBlockedName('Goodword', ['badword']), false);
+        assert.equal(validateScorePayload({ username: 'xBadWordx', score: 1, moves: 1 }, { blockedTerms: ['badword'] }).ok, false);
+        assert.equal(validateScorePayload({ username: 'xBadWordx', score: 1, moves: 1 }).ok, true);
+    });
+});